@@ -1,4 +1,16 @@
-import { LETTERS } from '../utils/constants.js';
+import { resolveStimulusSet } from '../game/stimulus-sets.js';
+import { FEEDBACK_TONES, canSpeak, speakAt, playTone } from './fallback-voice.js';
+import { loudnessGain } from './voice-processing.js';
+import { AUDIO_BUSES, LOCATION_PANS } from '../utils/constants.js';
+
+// Bus of each non-stimulus sound; everything else plays on the stimulus bus
+const SOUND_BUSES = {
+  'hit': 'feedback',
+  'miss': 'feedback',
+  'false-alarm': 'feedback',
+  'block-complete': 'ui',
+  'level-up': 'ui'
+};
 
 /**
  * AudioManager handles audio preloading, playback, iOS unlock, and MediaSession
@@ -7,10 +19,15 @@ export class AudioManager {
   constructor() {
     this.audioContext = null;
     this.buffers = new Map();
+    this.failed = new Map(); // Sound name -> path of files that failed to load
     this.silentAudio = null;
     this.unlocked = false;
-    this.gainNode = null;
+    this.gainNode = null; // Master volume
+    this.buses = {};      // Gain node per AUDIO_BUSES key, feeding the master
     this.base = import.meta.env.BASE_URL;
+    this.stimulusSet = resolveStimulusSet('letters');
+    this.stimulusNames = soundNamesByItem(this.stimulusSet);
+    this.voicePack = null; // Recorded letters used instead of the bundled files
   }
 
   /**
@@ -22,6 +39,11 @@ export class AudioManager {
     this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
     this.gainNode = this.audioContext.createGain();
     this.gainNode.connect(this.audioContext.destination);
+    for (const [bus, { defaultVolume }] of Object.entries(AUDIO_BUSES)) {
+      this.buses[bus] = this.audioContext.createGain();
+      this.buses[bus].gain.value = defaultVolume;
+      this.buses[bus].connect(this.gainNode);
+    }
 
     this.silentAudio = new Audio(`${this.base}audio/silent-loop.mp3`);
     this.silentAudio.loop = true;
@@ -29,47 +51,111 @@ export class AudioManager {
     this.silentAudio.playsInline = true;
   }
 
+  /**
+   * Choose the stimulus set that playLetter() voices. Its audio is loaded
+   * by the next preload().
+   * @param {{ items: string[], manifest: { item: string, name: string, path: string }[] }} stimulusSet -
+   *   A resolved set (see stimulus-sets.js)
+   */
+  setStimulusSet(stimulusSet) {
+    this.stimulusSet = stimulusSet;
+    this.stimulusNames = soundNamesByItem(stimulusSet);
+  }
+
+  /**
+   * Voice letters with a recorded voice pack instead of the bundled files.
+   * Items the pack doesn't cover (other stimulus sets) still use their files.
+   * @param {{ id: number, sampleRate: number, clips: Object<string, Float32Array> } | null} pack - null for the bundled voice
+   */
+  setVoicePack(pack) {
+    if ((pack?.id ?? null) === (this.voicePack?.id ?? null)) return;
+    this.voicePack = pack;
+    // Drop letter buffers so the next preload() builds them from the new voice
+    for (const { name } of resolveStimulusSet('letters').manifest) {
+      this.buffers.delete(name);
+    }
+  }
+
   /**
    * Preload all audio files. Call after unlock() so the AudioContext is running.
-   * No-op if buffers are already loaded.
+   * Only files that aren't loaded yet are fetched, so switching stimulus sets
+   * loads just the new set.
    */
   async preload() {
-    if (this.buffers.size > 0) return;
     await this.preloadAudio();
   }
 
   /**
-   * Preload all audio files into buffers
+   * Preload the active stimulus set and the feedback sounds into buffers.
+   * Stimulus files are brought to a common loudness as they are decoded, so
+   * items recorded at different levels sound equally loud; recorded voice
+   * pack clips were already normalized when they were made. Sets without
+   * bundled recordings aren't fetched; playLetter() speaks them.
    */
   async preloadAudio() {
+    if (this.voicePack) {
+      for (const { item, name } of this.stimulusSet.manifest) {
+        const clip = this.voicePack.clips[item];
+        if (clip && clip.length > 0 && !this.buffers.has(name)) {
+          this.buffers.set(name, this.createClipBuffer(clip, this.voicePack.sampleRate));
+          this.failed.delete(name);
+        }
+      }
+    }
+
     const audioFiles = [
-      // Letter audio files
-      ...LETTERS.map(letter => ({
-        name: `letter-${letter.toLowerCase()}`,
-        path: `${this.base}audio/letters/${letter.toLowerCase()}.mp3`
-      })),
+      // Stimulus audio files
+      ...(this.stimulusSet.bundled === false ? [] : this.stimulusSet.manifest)
+        .map(({ name, path }) => ({ name, path: `${this.base}${path}` })),
       // Feedback audio files
       { name: 'hit', path: `${this.base}audio/feedback/hit.mp3` },
       { name: 'miss', path: `${this.base}audio/feedback/miss.mp3` },
       { name: 'false-alarm', path: `${this.base}audio/feedback/false-alarm.mp3` },
       { name: 'block-complete', path: `${this.base}audio/feedback/block-complete.mp3` },
       { name: 'level-up', path: `${this.base}audio/feedback/level-up.mp3` }
-    ];
+    ].filter(({ name }) => !this.buffers.has(name));
 
     const loadPromises = audioFiles.map(async ({ name, path }) => {
       try {
         const response = await fetch(path);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
         const arrayBuffer = await response.arrayBuffer();
         const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+        if (!SOUND_BUSES[name]) equalizeLoudness(audioBuffer);
         this.buffers.set(name, audioBuffer);
+        this.failed.delete(name);
       } catch (error) {
         console.warn(`Failed to load audio: ${path}`, error);
+        this.failed.set(name, path);
       }
     });
 
     await Promise.all(loadPromises);
   }
 
+  /**
+   * Load the audio for the next block and report what could not be loaded.
+   * Missing stimuli are spoken by speech synthesis where available and
+   * missing feedback sounds become tones; anything else stays silent.
+   * @param {object} [options]
+   * @param {boolean} [options.panned=false] - Stimuli will be placed in the stereo field, which speech can't do
+   * @returns {Promise<{ missing: { name: string, path: string }[], spoken: string[], undeliverable: string[] }>} -
+   *   spoken and undeliverable list stimulus items
+   */
+  async preflight({ panned = false } = {}) {
+    await this.preload();
+
+    const missingItems = this.stimulusSet.manifest
+      .filter(({ name }) => !this.buffers.has(name))
+      .map(({ item }) => item);
+    const speech = canSpeak() && !panned;
+    return {
+      missing: [...this.failed].map(([name, path]) => ({ name, path })),
+      spoken: speech ? missingItems : [],
+      undeliverable: speech ? [] : missingItems
+    };
+  }
+
   /**
    * Unlock audio - must be called from user gesture (iOS requirement)
    * This is critical for iOS Safari which requires user interaction before audio can play
@@ -138,26 +224,119 @@ export class AudioManager {
   /**
    * Play a sound by name
    * @param {string} name - Name of the sound to play (e.g., 'letter-c', 'hit')
+   * @param {number} when - AudioContext time in seconds to start at (0 = now)
+   * @param {number} [location] - Index into LOCATION_PANS to place the sound in the stereo field (default: centre, unpanned)
+   * @returns {AudioBufferSourceNode | null} - The scheduled source, so it can be cancelled
    */
-  play(name) {
+  play(name, when = 0, location = undefined) {
+    const bus = this.buses[SOUND_BUSES[name] || 'stimulus'];
     const buffer = this.buffers.get(name);
     if (!buffer) {
+      if (FEEDBACK_TONES[name]) {
+        return playTone(this.audioContext, bus, FEEDBACK_TONES[name], when);
+      }
       console.warn(`Audio buffer not found: ${name}`);
-      return;
+      return null;
     }
 
     const source = this.audioContext.createBufferSource();
     source.buffer = buffer;
-    source.connect(this.gainNode);
-    source.start(0);
+    if (location === undefined) {
+      source.connect(bus);
+    } else {
+      const panner = this.createPanner(LOCATION_PANS[location]);
+      source.connect(panner);
+      panner.connect(bus);
+    }
+    source.start(when);
+    return source;
+  }
+
+  /**
+   * Node placing a sound at a stereo position. StereoPannerNode where
+   * available, otherwise an equal-power PannerNode on a half circle in front.
+   * @param {number} pan - -1 (left) to 1 (right)
+   * @returns {AudioNode}
+   */
+  createPanner(pan) {
+    if (this.audioContext.createStereoPanner) {
+      const panner = this.audioContext.createStereoPanner();
+      panner.pan.value = pan;
+      return panner;
+    }
+    const panner = this.audioContext.createPanner();
+    panner.panningModel = 'equalpower';
+    panner.setPosition(pan, 0, 1 - Math.abs(pan));
+    return panner;
+  }
+
+  /**
+   * Play an item of the active stimulus set
+   * @param {string} letter - Item to play (e.g., 'C', '7', 'BALL')
+   * @param {number} when - AudioContext time in seconds to start at (0 = now)
+   * @param {number} [location] - Stereo location (spatial mode)
+   * @returns {AudioBufferSourceNode | { stop: function, failed: boolean } | null} - The scheduled source,
+   *   a speech synthesis handle if the file is missing, or null if the item can't be voiced at all.
+   *   Speech synthesis can't be panned, so a missing file at a location is not voiced.
+   */
+  playLetter(letter, when = 0, location = undefined) {
+    const name = this.stimulusNames.get(letter) ?? `letter-${letter.toLowerCase()}`;
+    if (!this.buffers.has(name) && location === undefined && canSpeak()) {
+      return speakAt(letter, when - this.audioContext.currentTime);
+    }
+    return this.play(name, when, location);
+  }
+
+  /**
+   * Wrap mono samples in an AudioBuffer
+   * @param {Float32Array} samples
+   * @param {number} sampleRate
+   * @returns {AudioBuffer}
+   */
+  createClipBuffer(samples, sampleRate) {
+    const buffer = this.audioContext.createBuffer(1, samples.length, sampleRate);
+    buffer.copyToChannel(samples, 0);
+    return buffer;
+  }
+
+  /**
+   * Play mono samples right away, e.g. to preview a recording
+   * @param {Float32Array} samples
+   * @param {number} sampleRate
+   * @returns {AudioBufferSourceNode}
+   */
+  playClip(samples, sampleRate) {
+    const source = this.audioContext.createBufferSource();
+    source.buffer = this.createClipBuffer(samples, sampleRate);
+    source.connect(this.buses.stimulus);
+    source.start();
+    return source;
+  }
+
+  /**
+   * Current time on the AudioContext clock
+   * @returns {number} - Seconds
+   */
+  currentTime() {
+    return this.audioContext.currentTime;
   }
 
   /**
-   * Play a letter by the letter character
-   * @param {string} letter - Letter to play (e.g., 'C', 'H')
+   * Convert an AudioContext time to an epoch timestamp in ms, on the same
+   * clock as InputManager press timestamps. Uses getOutputTimestamp() where
+   * available so output latency is accounted for.
+   * @param {number} contextTime - AudioContext time in seconds
+   * @returns {number} - Milliseconds since the epoch
    */
-  playLetter(letter) {
-    this.play(`letter-${letter.toLowerCase()}`);
+  contextTimeToTimestamp(contextTime) {
+    const ctx = this.audioContext;
+    if (ctx.getOutputTimestamp) {
+      const { contextTime: refContext, performanceTime } = ctx.getOutputTimestamp();
+      if (performanceTime > 0) {
+        return performance.timeOrigin + performanceTime + (contextTime - refContext) * 1000;
+      }
+    }
+    return performance.timeOrigin + performance.now() + (contextTime - ctx.currentTime) * 1000;
   }
 
   /**
@@ -203,10 +382,22 @@ export class AudioManager {
   /**
    * Set the volume
    * @param {number} volume - Volume from 0 to 1
+   * @param {string} [bus] - Key of AUDIO_BUSES, or omitted for the master volume
    */
-  setVolume(volume) {
-    if (this.gainNode) {
-      this.gainNode.gain.value = Math.max(0, Math.min(1, volume));
+  setVolume(volume, bus) {
+    const node = bus ? this.buses[bus] : this.gainNode;
+    if (node && Number.isFinite(volume)) {
+      node.gain.value = Math.max(0, Math.min(1, volume));
+    }
+  }
+
+  /**
+   * Apply the per-bus volumes from settings
+   * @param {object} settings - Settings with a `${bus}Volume` value per AUDIO_BUSES key
+   */
+  applyVolumes(settings) {
+    for (const bus of Object.keys(AUDIO_BUSES)) {
+      this.setVolume(settings[`${bus}Volume`], bus);
     }
   }
 
@@ -224,5 +415,27 @@ export class AudioManager {
   }
 }
 
+/**
+ * @param {{ manifest: { item: string, name: string }[] }} stimulusSet
+ * @returns {Map<string, string>} - Audio buffer name by item
+ */
+function soundNamesByItem(stimulusSet) {
+  return new Map(stimulusSet.manifest.map(({ item, name }) => [item, name]));
+}
+
+/**
+ * Scale a decoded buffer in place to the common stimulus loudness
+ * @param {AudioBuffer} buffer
+ */
+function equalizeLoudness(buffer) {
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+  const gain = loudnessGain(channels, buffer.sampleRate);
+  for (const channel of channels) {
+    for (let i = 0; i < channel.length; i++) {
+      channel[i] *= gain;
+    }
+  }
+}
+
 // Export singleton instance
 export const audioManager = new AudioManager();
@@ -0,0 +1,83 @@
+/**
+ * Stand-ins for audio files that failed to load: the browser's speech
+ * synthesizer for stimuli and short oscillator tones for feedback sounds
+ */
+
+// Notes (Hz) played for each feedback sound, 120 ms apart
+export const FEEDBACK_TONES = {
+  'hit': [880],
+  'miss': [220],
+  'false-alarm': [311],
+  'block-complete': [523, 659],
+  'level-up': [523, 659, 784]
+};
+
+const NOTE_SECONDS = 0.12;
+
+/**
+ * Whether speech synthesis can voice stimuli in this browser
+ * @returns {boolean}
+ */
+export function canSpeak() {
+  return typeof window !== 'undefined' && 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+}
+
+/**
+ * Speak a stimulus at an AudioContext time. Speech synthesis has no clock
+ * of its own, so the utterance is started by a timer and its onset is only
+ * approximate.
+ * @param {string} text - Stimulus to say
+ * @param {number} delay - Seconds from now
+ * @returns {{ stop: () => void, failed: boolean }} - Handle like a scheduled source;
+ *   failed becomes true if the synthesizer reports an error
+ */
+export function speakAt(text, delay) {
+  const utterance = new SpeechSynthesisUtterance(text.toLowerCase());
+  utterance.rate = 1.1;
+  const handle = {
+    failed: false,
+    stop: () => {
+      clearTimeout(timer);
+      if (started) window.speechSynthesis.cancel();
+    }
+  };
+  utterance.onerror = () => { handle.failed = true; };
+
+  let started = false;
+  const timer = setTimeout(() => {
+    started = true;
+    window.speechSynthesis.speak(utterance);
+  }, Math.max(0, delay * 1000));
+
+  return handle;
+}
+
+/**
+ * Play a feedback tone sequence on the Web Audio graph
+ * @param {AudioContext} audioContext
+ * @param {AudioNode} destination
+ * @param {number[]} notes - Frequencies in Hz
+ * @param {number} when - AudioContext time in seconds (0 = now)
+ * @returns {{ stop: () => void }}
+ */
+export function playTone(audioContext, destination, notes, when = 0) {
+  const start = Math.max(when, audioContext.currentTime);
+  const oscillators = notes.map((frequency, i) => {
+    const t = start + i * NOTE_SECONDS;
+    const oscillator = audioContext.createOscillator();
+    const envelope = audioContext.createGain();
+    oscillator.frequency.value = frequency;
+    envelope.gain.setValueAtTime(0, t);
+    envelope.gain.linearRampToValueAtTime(0.3, t + 0.01);
+    envelope.gain.exponentialRampToValueAtTime(0.001, t + NOTE_SECONDS);
+    oscillator.connect(envelope);
+    envelope.connect(destination);
+    oscillator.start(t);
+    oscillator.stop(t + NOTE_SECONDS);
+    return oscillator;
+  });
+
+  return {
+    stop: () => oscillators.forEach(oscillator => oscillator.stop())
+  };
+}
@@ -0,0 +1,151 @@
+import { TIMING } from '../utils/constants.js';
+
+/**
+ * StimulusScheduler queues letter onsets ahead of time on the AudioContext
+ * clock, so onsets are sample-accurate regardless of timer jitter or tab
+ * throttling. Onsets are given relative to the block start; pausing shifts
+ * every onset that has not played yet by the paused duration.
+ */
+export class StimulusScheduler {
+  /**
+   * @param {import('./audio-manager.js').AudioManager} audioManager
+   */
+  constructor(audioManager) {
+    this.audioManager = audioManager;
+    this.letters = [];
+    this.locations = null; // Stereo location per trial in spatial mode
+    this.onsets = [];      // Seconds relative to the block start
+    this.sources = [];     // Scheduled source per trial (null if not queued)
+    this.undelivered = new Set(); // Trials whose letter could not be played
+    this.origin = 0;       // AudioContext time of the block start
+    this.pausedAt = null;
+  }
+
+  /**
+   * Start a block timeline
+   * @param {string[]} letters - Letter for each trial
+   * @param {number[]} onsets - Onset of each trial in ms relative to the first
+   * @param {number[]} [locations] - Stereo location of each letter (spatial mode only)
+   */
+  start(letters, onsets, locations = null) {
+    this.stop();
+    this.letters = letters;
+    this.locations = locations;
+    this.onsets = onsets.map(ms => ms / 1000);
+    this.sources = new Array(letters.length).fill(null);
+    this.undelivered = new Set();
+    this.origin = this.audioManager.currentTime() + TIMING.START_DELAY / 1000;
+    this.pausedAt = null;
+    this.pump();
+  }
+
+  /**
+   * Queue every letter whose onset falls within the lookahead window
+   */
+  pump() {
+    if (this.pausedAt !== null) return;
+    const now = this.audioManager.currentTime();
+    const horizon = now + TIMING.SCHEDULE_AHEAD / 1000;
+    for (let i = 0; i < this.letters.length; i++) {
+      const onset = this.getOnset(i);
+      if (onset > horizon) break;
+      if (!this.sources[i]) {
+        // A letter that can't be voiced returns null; mark the trial as handled
+        // anyway so it isn't retried (and warned about) on every pump
+        const location = this.locations ? this.locations[i] : undefined;
+        const source = this.audioManager.playLetter(this.letters[i], Math.max(onset, now), location);
+        if (!source) this.undelivered.add(i);
+        this.sources[i] = source || true;
+      }
+    }
+  }
+
+  /**
+   * Whether a trial's letter was played. False if it could not be voiced or
+   * its fallback voice reported an error.
+   * @param {number} trialIndex
+   * @returns {boolean}
+   */
+  isDelivered(trialIndex) {
+    const source = this.sources[trialIndex];
+    return !this.undelivered.has(trialIndex) && !(source && source.failed);
+  }
+
+  /**
+   * Scheduled onset of a trial on the AudioContext clock
+   * @param {number} trialIndex
+   * @returns {number} - AudioContext time in seconds
+   */
+  getOnset(trialIndex) {
+    return this.origin + this.onsets[trialIndex];
+  }
+
+  /**
+   * Scheduled onset of a trial as an epoch timestamp in ms
+   * @param {number} trialIndex
+   * @returns {number}
+   */
+  getOnsetTimestamp(trialIndex) {
+    return this.audioManager.contextTimeToTimestamp(this.getOnset(trialIndex));
+  }
+
+  /**
+   * Whether the given AudioContext time has been reached (never while paused)
+   * @param {number} contextTime
+   * @returns {boolean}
+   */
+  hasReached(contextTime) {
+    return this.pausedAt === null && this.audioManager.currentTime() >= contextTime;
+  }
+
+  /**
+   * Pause the timeline, cancelling any letter that has not started yet
+   */
+  pause() {
+    if (this.pausedAt !== null) return;
+    this.pausedAt = this.audioManager.currentTime();
+    this._cancelPending();
+  }
+
+  /**
+   * Resume the timeline, shifting unplayed onsets by the paused duration
+   */
+  resume() {
+    if (this.pausedAt === null) return;
+    this.origin += this.audioManager.currentTime() - this.pausedAt;
+    this.pausedAt = null;
+    this.pump();
+  }
+
+  /**
+   * Cancel all pending letters
+   */
+  stop() {
+    this._cancelPending();
+    this.letters = [];
+    this.locations = null;
+    this.onsets = [];
+    this.sources = [];
+    this.undelivered = new Set();
+  }
+
+  /**
+   * Stop and forget sources whose onset is still in the future
+   */
+  _cancelPending() {
+    const now = this.audioManager.currentTime();
+    this.sources.forEach((source, i) => {
+      if (source && this.getOnset(i) > now) {
+        if (source !== true) {
+          try {
+            source.stop();
+          } catch (error) {
+            console.warn('Could not cancel scheduled letter:', error);
+          }
+        }
+        this.sources[i] = null;
+        this.undelivered.delete(i);
+      }
+    });
+  }
+}
@@ -0,0 +1,115 @@
+import { VOICE_PACK } from '../utils/constants.js';
+
+/**
+ * Signal processing for recorded voice clips and loaded stimulus audio.
+ * Works on plain Float32Array samples so it runs outside the browser too.
+ */
+
+/**
+ * RMS level and absolute peak of a clip
+ * @param {Float32Array} samples
+ * @returns {{ rms: number, peak: number }}
+ */
+export function measureLoudness(samples) {
+  let sum = 0;
+  let peak = 0;
+  for (const sample of samples) {
+    sum += sample * sample;
+    peak = Math.max(peak, Math.abs(sample));
+  }
+  return { rms: samples.length > 0 ? Math.sqrt(sum / samples.length) : 0, peak };
+}
+
+/**
+ * Cut leading and trailing silence. Silence is relative to the loudest
+ * window, so it works regardless of microphone gain.
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {object} [options]
+ * @param {number} [options.ratio] - Fraction of the loudest window's RMS below which a window is silent
+ * @param {number} [options.windowMs] - Detector window length
+ * @param {number} [options.paddingMs] - Audio kept on either side of the speech
+ * @returns {Float32Array} - A copy of the speech portion (empty if the clip is silent)
+ */
+export function trimSilence(samples, sampleRate, {
+  ratio = VOICE_PACK.SILENCE_RATIO,
+  windowMs = VOICE_PACK.WINDOW_MS,
+  paddingMs = VOICE_PACK.PADDING_MS
+} = {}) {
+  const windowLength = Math.max(1, Math.round(sampleRate * windowMs / 1000));
+  const levels = [];
+  for (let start = 0; start < samples.length; start += windowLength) {
+    levels.push(measureLoudness(samples.subarray(start, start + windowLength)).rms);
+  }
+
+  const loudest = Math.max(0, ...levels);
+  if (loudest === 0) return new Float32Array(0);
+
+  const threshold = loudest * ratio;
+  const first = levels.findIndex(level => level >= threshold);
+  const last = levels.length - 1 - [...levels].reverse().findIndex(level => level >= threshold);
+  const padding = Math.round(sampleRate * paddingMs / 1000);
+
+  const start = Math.max(0, first * windowLength - padding);
+  const end = Math.min(samples.length, (last + 1) * windowLength + padding);
+  return samples.slice(start, end);
+}
+
+/**
+ * Scale a clip to a target RMS, limited so no peak exceeds maxPeak
+ * @param {Float32Array} samples
+ * @param {object} [options]
+ * @param {number} [options.targetRms]
+ * @param {number} [options.maxPeak]
+ * @returns {Float32Array} - A scaled copy
+ */
+export function normalizeLoudness(samples, { targetRms = VOICE_PACK.TARGET_RMS, maxPeak = VOICE_PACK.MAX_PEAK } = {}) {
+  const { rms, peak } = measureLoudness(samples);
+  if (rms === 0) return samples.slice();
+  const gain = Math.min(targetRms / rms, maxPeak / peak);
+  return samples.map(sample => sample * gain);
+}
+
+/**
+ * Gain that brings a decoded sound's speech to the target loudness. Only
+ * the speech is measured, so files with more silence around the word
+ * aren't boosted; the gain is still limited by the peak of every channel.
+ * @param {Float32Array[]} channels - Decoded channel data
+ * @param {number} sampleRate
+ * @param {object} [options]
+ * @param {number} [options.targetRms]
+ * @param {number} [options.maxPeak]
+ * @returns {number} - 1 for a silent sound
+ */
+export function loudnessGain(channels, sampleRate, { targetRms = VOICE_PACK.TARGET_RMS, maxPeak = VOICE_PACK.MAX_PEAK } = {}) {
+  const { rms } = measureLoudness(trimSilence(mixToMono(channels), sampleRate));
+  if (rms === 0) return 1;
+  const peak = Math.max(...channels.map(channel => measureLoudness(channel).peak));
+  return Math.min(targetRms / rms, maxPeak / peak);
+}
+
+/**
+ * Average the channels of a recording into one
+ * @param {Float32Array[]} channels
+ * @returns {Float32Array}
+ */
+export function mixToMono(channels) {
+  if (channels.length === 1) return channels[0].slice();
+  const mono = new Float32Array(channels[0].length);
+  for (const channel of channels) {
+    for (let i = 0; i < mono.length; i++) {
+      mono[i] += channel[i] / channels.length;
+    }
+  }
+  return mono;
+}
+
+/**
+ * Turn a raw recording into a voice pack clip: mono, trimmed, normalized
+ * @param {Float32Array[]} channels - Decoded channel data
+ * @param {number} sampleRate
+ * @returns {Float32Array}
+ */
+export function processRecording(channels, sampleRate) {
+  return normalizeLoudness(trimSilence(mixToMono(channels), sampleRate));
+}
@@ -0,0 +1,120 @@
+import { measureLoudness, trimSilence, normalizeLoudness, mixToMono, processRecording, loudnessGain } from './voice-processing.js';
+
+const RATE = 8000;
+
+/**
+ * Quiet noise floor, then a tone, then the noise floor again
+ * @param {number} leadMs
+ * @param {number} toneMs
+ * @param {number} tailMs
+ * @param {number} amplitude
+ * @returns {Float32Array}
+ */
+function makeClip(leadMs, toneMs, tailMs, amplitude) {
+  const lead = Math.round(RATE * leadMs / 1000);
+  const tone = Math.round(RATE * toneMs / 1000);
+  const samples = new Float32Array(lead + tone + Math.round(RATE * tailMs / 1000));
+  for (let i = 0; i < samples.length; i++) {
+    const inTone = i >= lead && i < lead + tone;
+    samples[i] = inTone
+      ? amplitude * Math.sin(2 * Math.PI * 220 * i / RATE)
+      : 0.001 * Math.sin(i * 12.9898);
+  }
+  return samples;
+}
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  // Test 1: Leading and trailing silence is cut, keeping the padding
+  const trimmed = trimSilence(makeClip(400, 300, 500, 0.3), RATE, { paddingMs: 30 });
+  const expectedMs = 300 + 2 * 30;
+  const trimmedMs = trimmed.length / RATE * 1000;
+  if (Math.abs(trimmedMs - expectedMs) <= 20) {
+    console.log(`Test 1 PASS: Trimmed to ${Math.round(trimmedMs)} ms`);
+    passed++;
+  } else {
+    console.log(`Test 1 FAIL: Expected ~${expectedMs} ms, got ${Math.round(trimmedMs)} ms`);
+    failed++;
+  }
+
+  // Test 2: Quiet and loud recordings are normalized to the same RMS
+  const quiet = normalizeLoudness(trimSilence(makeClip(100, 300, 100, 0.02), RATE), { targetRms: 0.1 });
+  const loud = normalizeLoudness(trimSilence(makeClip(100, 300, 100, 0.5), RATE), { targetRms: 0.1 });
+  const quietRms = measureLoudness(quiet).rms;
+  const loudRms = measureLoudness(loud).rms;
+  if (Math.abs(quietRms - 0.1) < 0.005 && Math.abs(loudRms - 0.1) < 0.005) {
+    console.log('Test 2 PASS: Clips are normalized to the target RMS');
+    passed++;
+  } else {
+    console.log(`Test 2 FAIL: RMS ${quietRms.toFixed(3)} / ${loudRms.toFixed(3)}`);
+    failed++;
+  }
+
+  // Test 3: Normalization never pushes a peak above the limit
+  const spiky = new Float32Array(1000);
+  spiky[500] = 0.5;
+  const limited = normalizeLoudness(spiky, { targetRms: 0.1, maxPeak: 0.9 });
+  if (Math.abs(measureLoudness(limited).peak - 0.9) < 1e-6) {
+    console.log('Test 3 PASS: Peak is limited');
+    passed++;
+  } else {
+    console.log(`Test 3 FAIL: Peak ${measureLoudness(limited).peak}`);
+    failed++;
+  }
+
+  // Test 4: A silent recording trims to nothing and stays silent
+  const silent = processRecording([new Float32Array(RATE)], RATE);
+  if (silent.length === 0) {
+    console.log('Test 4 PASS: Silent recording yields an empty clip');
+    passed++;
+  } else {
+    console.log(`Test 4 FAIL: Got ${silent.length} samples`);
+    failed++;
+  }
+
+  // Test 5: Stereo recordings are averaged to mono
+  const mono = mixToMono([new Float32Array([0.2, 0.4]), new Float32Array([0, -0.4])]);
+  if (Math.abs(mono[0] - 0.1) < 1e-6 && Math.abs(mono[1]) < 1e-6) {
+    console.log('Test 5 PASS: Channels are mixed to mono');
+    passed++;
+  } else {
+    console.log(`Test 5 FAIL: Got ${[...mono].join(',')}`);
+    failed++;
+  }
+
+  // Test 6: Files with different levels and silence around the word get equal speech loudness
+  const short = makeClip(50, 300, 50, 0.05);
+  const padded = makeClip(600, 300, 900, 0.4);
+  const shortGain = loudnessGain([short], RATE, { targetRms: 0.1 });
+  const paddedGain = loudnessGain([padded, padded], RATE, { targetRms: 0.1 });
+  const speechRms = (clip, gain) => measureLoudness(trimSilence(clip, RATE)).rms * gain;
+  if (Math.abs(speechRms(short, shortGain) - 0.1) < 0.005 && Math.abs(speechRms(padded, paddedGain) - 0.1) < 0.005) {
+    console.log(`Test 6 PASS: Gains ${shortGain.toFixed(2)} / ${paddedGain.toFixed(2)} equalize speech loudness`);
+    passed++;
+  } else {
+    console.log(`Test 6 FAIL: Gains ${shortGain} / ${paddedGain}`);
+    failed++;
+  }
+
+  // Test 7: The gain respects the peak limit and leaves silent files alone
+  const peakGain = loudnessGain([spiky], RATE, { targetRms: 0.1, maxPeak: 0.9 });
+  if (Math.abs(peakGain - 1.8) < 1e-6 && loudnessGain([new Float32Array(RATE)], RATE) === 1) {
+    console.log('Test 7 PASS: Loudness gain is peak limited');
+    passed++;
+  } else {
+    console.log(`Test 7 FAIL: Gain ${peakGain}`);
+    failed++;
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('All tests passed!');
+  }
+
+  return failed === 0;
+}
+
+runTests();
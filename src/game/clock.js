@@ -0,0 +1,103 @@
+/**
+ * Clocks the game engine waits on. The engine only needs `now`, `setTimeout`
+ * and `clearTimeout`, so a fake clock can run a whole block instantly.
+ */
+
+/**
+ * Wall clock backed by Date.now and the global timers
+ */
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id)
+};
+
+// Real macrotask used to hand control back between fake timers, so promise
+// chains started by one timer settle before the next fires
+const defer = globalThis.setImmediate || ((fn) => globalThis.setTimeout(fn, 0));
+
+/**
+ * Virtual clock for simulation and tests. Time only moves when a timer fires:
+ * with `autoAdvance` (default) the earliest pending timer fires on the next
+ * macrotask and time jumps to its due time, so waiting costs no real time.
+ */
+export class FakeClock {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.start=0] - Initial time in ms
+   * @param {boolean} [options.autoAdvance=true] - Fire timers on their own; otherwise call advance()
+   */
+  constructor({ start = 0, autoAdvance = true } = {}) {
+    this.time = start;
+    this.autoAdvance = autoAdvance;
+    this.timers = [];
+    this.nextId = 1;
+    this._pumping = false;
+  }
+
+  /**
+   * @returns {number} - Current virtual time in ms
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * @param {function} fn
+   * @param {number} [ms=0]
+   * @returns {number} - Timer ID
+   */
+  setTimeout(fn, ms = 0) {
+    const id = this.nextId++;
+    this.timers.push({ id, at: this.time + Math.max(0, ms || 0), fn });
+    this._schedulePump();
+    return id;
+  }
+
+  /**
+   * @param {number} id
+   */
+  clearTimeout(id) {
+    this.timers = this.timers.filter(timer => timer.id !== id);
+  }
+
+  /**
+   * Move time forward, firing every timer due on the way in order
+   * @param {number} ms
+   */
+  advance(ms) {
+    const until = this.time + ms;
+    let timer;
+    while ((timer = this._nextTimer()) && timer.at <= until) {
+      this._fire(timer);
+    }
+    this.time = until;
+  }
+
+  _nextTimer() {
+    let next = null;
+    for (const timer of this.timers) {
+      if (!next || timer.at < next.at) next = timer;
+    }
+    return next;
+  }
+
+  _fire(timer) {
+    this.timers = this.timers.filter(t => t !== timer);
+    this.time = Math.max(this.time, timer.at);
+    timer.fn();
+  }
+
+  _schedulePump() {
+    if (!this.autoAdvance || this._pumping) return;
+    this._pumping = true;
+    defer(() => {
+      this._pumping = false;
+      const timer = this._nextTimer();
+      if (timer) {
+        this._fire(timer);
+        if (this.timers.length > 0) this._schedulePump();
+      }
+    });
+  }
+}
@@ -1,26 +1,67 @@
-import { generateSequence } from './sequence-generator.js';
-import { Scorer, calculateNextLevel } from './scorer.js';
-import { TIMING } from '../utils/constants.js';
+import { generateSequence, generateDualSequence, generateSpatialSequence, resolveLureRates } from './sequence-generator.js';
+import { Scorer, getOutcome, summarizeReactionTimes } from './scorer.js';
+import { decideNextLevel, getLevelStreak } from './progression.js';
+import { getDifficulty, stepStaircase } from './staircase.js';
+import { MODES, BLOCK, LETTERS, LEVEL_METRICS, PROGRESSION_POLICIES, PROGRESSION_HISTORY } from '../utils/constants.js';
+import { createRandom, createSeed, deriveSeed } from '../utils/random.js';
+import { StimulusScheduler } from '../audio/stimulus-scheduler.js';
+import { resolveTiming, generateOnsets } from './timing.js';
+import { systemClock } from './clock.js';
+
+const GENERATORS = {
+  [MODES.SINGLE]: generateSequence,
+  [MODES.DUAL]: generateDualSequence,
+  [MODES.SPATIAL]: generateSpatialSequence
+};
+
+// Stream answered by the non-audio response buttons in each mode
+const SECOND_CHANNEL = {
+  [MODES.SINGLE]: 'audio',
+  [MODES.DUAL]: 'position',
+  [MODES.SPATIAL]: 'location'
+};
 
 /**
  * GameEngine orchestrates audio, input, and scoring for the n-back game
  */
 export class GameEngine extends EventTarget {
   /**
-   * @param {import('../audio/audio-manager.js').AudioManager} audioManager
-   * @param {import('../input/input-manager.js').InputManager} inputManager
+   * @param {import('../audio/audio-manager.js').AudioManager} audioManager - Or any stimulus adapter
+   *   with the same play/playLetter/currentTime/contextTimeToTimestamp surface (see headless.js)
+   * @param {import('../input/input-manager.js').InputManager} inputManager - Or any response adapter
+   *   emitting 'press' events (see headless.js)
+   * @param {object} [options]
+   * @param {{ now: function, setTimeout: function, clearTimeout: function }} [options.clock=systemClock] -
+   *   Clock the engine waits on; a FakeClock runs a block instantly
    */
-  constructor(audioManager, inputManager) {
+  constructor(audioManager, inputManager, { clock = systemClock } = {}) {
     super();
     this.audioManager = audioManager;
     this.inputManager = inputManager;
+    this.clock = clock;
     this.scorer = new Scorer();
+    this.scheduler = new StimulusScheduler(audioManager);
 
     this.state = 'idle'; // 'idle' | 'playing' | 'paused' | 'complete'
     this.currentN = 2;
     this.sequence = null;
+    this.seed = null;
     this.currentTrial = 0;
-    this.userPressed = false;
+    this.mode = MODES.SINGLE;
+    this.lureRates = BLOCK.LURE_RATES;
+    this.stimuli = LETTERS; // Items of the active stimulus set
+    this.levelMetric = 'accuracy';
+    this.progressionPolicy = 'threshold';
+    this.subLevel = 0; // Position between N and N+1 under the staircase policy
+    this.fixedDifficulty = null; // Generator parameters pinned for a replay
+    this.difficulty = null;      // Generator parameters of the current block
+    this.history = null; // Storage consulted for earlier blocks by multi-block policies
+    this.baseTiming = resolveTiming(); // Timing from settings
+    this.timing = this.baseTiming;      // Timing of the current block
+    this.onsets = [];
+    this.pressed = { audio: false, position: false, location: false };
+    this.trials = [];       // One structured record per completed trial
+    this.trialRecord = null; // Record for the trial in progress
     this.trialTimeout = null;
     this.isiTimeout = null;
     this.feedbackSoundsEnabled = true;
@@ -32,13 +73,31 @@ export class GameEngine extends EventTarget {
    * Start a block of trials
    * @param {number} n - The n-back level
    * @param {number} trialCount - Number of trials (default 20)
-   * @returns {Promise<{results: object, nextLevel: number}>}
+   * @param {number | null} seed - Sequence seed to replay a block (default: fresh random seed)
+   * @returns {Promise<{results: object, nextLevel: number, nextSubLevel: number, seed: number}>}
    */
-  async startBlock(n, trialCount = 20) {
+  async startBlock(n, trialCount = 20, seed = null) {
     this.currentN = n;
     this.trialCount = trialCount;
-    this.sequence = generateSequence(n, trialCount);
+    this.seed = seed ?? createSeed();
+
+    const difficulty = this.fixedDifficulty ?? (this.progressionPolicy === 'staircase'
+      ? getDifficulty(this.subLevel, { timing: this.baseTiming, lureRates: this.lureRates })
+      : { timing: this.baseTiming, lureRates: this.lureRates, matchRate: BLOCK.MATCH_RATE });
+    this.difficulty = difficulty;
+    this.timing = difficulty.timing;
+
+    // Letters and onsets draw from separate streams, so changing one never reshuffles the other
+    const generate = GENERATORS[this.mode];
+    this.sequence = generate(n, trialCount, difficulty.matchRate, {
+      random: createRandom(this.seed),
+      lureRates: difficulty.lureRates,
+      alphabet: this.stimuli
+    });
+    this.onsets = generateOnsets(this.sequence.totalTrials, this.timing, createRandom(deriveSeed(this.seed, 1)));
     this.scorer.reset();
+    this.trials = [];
+    this.trialRecord = null;
     this.currentTrial = 0;
     this.state = 'playing';
 
@@ -48,9 +107,12 @@ export class GameEngine extends EventTarget {
 
     // Emit block start event
     this.dispatchEvent(new CustomEvent('blockStart', {
-      detail: { n, totalTrials: this.sequence.totalTrials }
+      detail: { n, totalTrials: this.sequence.totalTrials, mode: this.mode, seed: this.seed }
     }));
 
+    // Queue letter onsets on the audio clock
+    this.scheduler.start(this.sequence.letters, this.onsets, this.sequence.locations);
+
     // Run through all trials
     for (this.currentTrial = 0; this.currentTrial < this.sequence.totalTrials; this.currentTrial++) {
       if (this.state === 'idle') break; // Game was stopped
@@ -66,6 +128,7 @@ export class GameEngine extends EventTarget {
     }
 
     // Clean up
+    this.scheduler.stop();
     this.inputManager.disable();
     this.inputManager.off('press', this._onPress);
 
@@ -74,7 +137,9 @@ export class GameEngine extends EventTarget {
 
       // Get results and calculate next level
       const results = this.scorer.getResults();
-      const nextLevel = calculateNextLevel(this.currentN, results.accuracy);
+      results.reactionTimes = summarizeReactionTimes(this.trials);
+      results.undelivered = this.trials.filter(trial => !trial.delivered).length;
+      const { nextLevel, nextSubLevel } = await this.getNextLevel(results);
 
       // Play block complete sound
       this.audioManager.play('block-complete');
@@ -87,10 +152,13 @@ export class GameEngine extends EventTarget {
 
       // Emit block complete event
       this.dispatchEvent(new CustomEvent('blockComplete', {
-        detail: { results, nextLevel, currentN: this.currentN }
+        detail: {
+          results, nextLevel, nextSubLevel, currentN: this.currentN, subLevel: this.subLevel,
+          mode: this.mode, seed: this.seed, trials: this.trials
+        }
       }));
 
-      return { results, nextLevel };
+      return { results, nextLevel, nextSubLevel, seed: this.seed, trials: this.trials };
     }
 
     return null;
@@ -102,32 +170,99 @@ export class GameEngine extends EventTarget {
    */
   async runTrial(trialIndex) {
     const letter = this.sequence.letters[trialIndex];
-    const isMatch = this.sequence.matchPositions.includes(trialIndex);
-    this.userPressed = false;
+    const isDual = this.mode === MODES.DUAL;
+    const isSpatial = this.mode === MODES.SPATIAL;
+    const position = isDual ? this.sequence.positions[trialIndex] : null;
+    const location = isSpatial ? this.sequence.locations[trialIndex] : null;
+
+    // Match flags and lure types per modality for this trial
+    const matches = {
+      audio: this.sequence.matchPositions.includes(trialIndex)
+    };
+    const lures = {
+      audio: this.sequence.lures[trialIndex]
+    };
+    if (isDual) {
+      matches.position = this.sequence.positionMatchPositions.includes(trialIndex);
+      lures.position = this.sequence.positionLures[trialIndex];
+    }
+    if (isSpatial) {
+      matches.location = this.sequence.locationMatchPositions.includes(trialIndex);
+      lures.location = this.sequence.locationLures[trialIndex];
+    }
+
+    this.pressed = { audio: false, position: false, location: false };
+    this.trialRecord = {
+      trialIndex,
+      letter,
+      position,
+      location,
+      onset: this.scheduler.getOnsetTimestamp(trialIndex),
+      presses: [],
+      responses: null
+    };
+    this.trials.push(this.trialRecord);
+
+    // The letter is already queued on the audio clock; wait for its onset
+    await this.waitForOnset(trialIndex);
+    if (this.state === 'idle') return;
+
+    // Re-read the onset in case a pause shifted it
+    this.trialRecord.onset = this.scheduler.getOnsetTimestamp(trialIndex);
 
     // Emit trial start event
     this.dispatchEvent(new CustomEvent('trialStart', {
       detail: {
         trialIndex,
         totalTrials: this.sequence.totalTrials,
-        isMatch
+        isMatch: matches.audio,
+        position,
+        location,
+        onset: this.scheduler.getOnset(trialIndex),
+        onsetTimestamp: this.trialRecord.onset,
+        duration: trialIndex + 1 < this.onsets.length
+          ? this.onsets[trialIndex + 1] - this.onsets[trialIndex]
+          : this.timing.isi
       }
     }));
 
-    // Play the letter audio
-    this.audioManager.playLetter(letter);
-
-    // Wait for response window
-    await this.sleep(TIMING.RESPONSE_WINDOW);
+    // Wait for the response window, measured from the scheduled onset
+    await this.waitForOnset(trialIndex, this.timing.responseWindow);
+    if (this.state === 'idle') return;
+
+    // A letter that never played can't be judged, so its audio response is
+    // left out of scoring, along with its location, which the same sound
+    // carries. The visual position stream is unaffected.
+    this.trialRecord.delivered = this.scheduler.isDelivered(trialIndex);
+    if (!this.trialRecord.delivered) {
+      delete matches.audio;
+      delete matches.location;
+    }
 
-    // Score the trial
-    this.scorer.recordTrial(this.userPressed, isMatch);
+    // Score each modality independently
+    const responses = {};
+    for (const [modality, isMatch] of Object.entries(matches)) {
+      const userPressed = this.pressed[modality];
+      const firstPress = this.trialRecord.presses
+        .find(p => p.channel === modality && p.rt < this.timing.responseWindow);
+      this.scorer.recordTrial(userPressed, isMatch, modality, lures[modality]);
+      responses[modality] = {
+        userPressed,
+        wasMatch: isMatch,
+        lureType: lures[modality],
+        correct: isMatch === userPressed,
+        outcome: getOutcome(userPressed, isMatch),
+        rt: firstPress ? firstPress.rt : null
+      };
+    }
+    this.trialRecord.responses = responses;
 
     // Play feedback sound only on incorrect responses
     if (this.feedbackSoundsEnabled) {
-      if (isMatch && !this.userPressed) {
+      const outcomes = Object.values(responses);
+      if (outcomes.some(r => r.wasMatch && !r.userPressed)) {
         this.audioManager.play('miss');
-      } else if (!isMatch && this.userPressed) {
+      } else if (outcomes.some(r => !r.wasMatch && r.userPressed)) {
         this.audioManager.play('false-alarm');
       }
     }
@@ -136,26 +271,185 @@ export class GameEngine extends EventTarget {
     this.dispatchEvent(new CustomEvent('trialEnd', {
       detail: {
         trialIndex,
-        userPressed: this.userPressed,
-        wasMatch: isMatch,
-        correct: (isMatch && this.userPressed) || (!isMatch && !this.userPressed)
+        ...responses.audio,
+        responses
       }
     }));
+  }
 
-    // Wait remaining ISI time
-    const remainingTime = TIMING.ISI - TIMING.RESPONSE_WINDOW;
-    if (remainingTime > 0) {
-      await this.sleep(remainingTime);
+  /**
+   * Wait until a point relative to a trial's scheduled onset on the audio
+   * clock. Targets are absolute, so timer jitter never accumulates; while
+   * paused the scheduler holds the clock and shifts the onset on resume.
+   * @param {number} trialIndex
+   * @param {number} offsetMs - Time after the onset in ms (default 0)
+   * @returns {Promise<void>}
+   */
+  waitForOnset(trialIndex, offsetMs = 0) {
+    return new Promise(resolve => {
+      const tick = () => {
+        // Stopped — unblock immediately
+        if (this.state === 'idle') { resolve(); return; }
+
+        this.scheduler.pump();
+        const target = this.scheduler.getOnset(trialIndex) + offsetMs / 1000;
+        if (this.scheduler.hasReached(target)) {
+          resolve();
+        } else {
+          this.clock.setTimeout(tick, 16);
+        }
+      };
+
+      tick();
+    });
+  }
+
+  /**
+   * Handle user press during a trial. In single mode every press
+   * counts as an audio response regardless of channel; in dual and spatial
+   * mode the second button answers that mode's second stream. Every press is
+   * logged on the trial whose onset precedes it; only presses inside
+   * that trial's response window count as a response.
+   * @param {CustomEvent} e - 'press' event from InputManager
+   */
+  _onPress(e) {
+    if (this.state !== 'playing') return;
+
+    const channel = e.detail.channel === 'audio' ? 'audio' : SECOND_CHANNEL[this.mode];
+    const { timestamp } = e.detail;
+
+    // Presses before the current onset are late presses on the previous trial
+    let record = null;
+    for (let i = this.trials.length - 1; i >= 0; i--) {
+      if (this.trials[i].onset <= timestamp) {
+        record = this.trials[i];
+        break;
+      }
+    }
+    if (!record) return;
+
+    const rt = timestamp - record.onset;
+    record.presses.push({ channel, timestamp, rt });
+    if (record === this.trialRecord && rt < this.timing.responseWindow) {
+      this.pressed[channel] = true;
     }
   }
 
   /**
-   * Handle user press during a trial
+   * Get the structured records of the trials played so far
+   * @returns {object[]}
    */
-  _onPress() {
-    if (this.state === 'playing') {
-      this.userPressed = true;
+  getTrials() {
+    return this.trials;
+  }
+
+  /**
+   * Set how often the generator deliberately places each lure type.
+   * Missing types keep their default; rates are clamped to 0…BLOCK.MAX_LURE_RATE.
+   * @param {object} lureRates - Fraction of non-match positions per lure type ('n-1' | 'n+1' | '2n')
+   */
+  setLureRates(lureRates) {
+    this.lureRates = resolveLureRates(lureRates);
+  }
+
+  /**
+   * Set the items the audio stream draws from
+   * @param {string[]} items - Items of the active stimulus set (see stimulus-sets.js)
+   */
+  setStimuli(items) {
+    this.stimuli = items && items.length > 1 ? items : LETTERS;
+  }
+
+  /**
+   * Set the ISI, response window and ISI jitter for the next block
+   * @param {{ isi?: number, responseWindow?: number, isiJitter?: number }} timing - Values in ms
+   */
+  setTiming(timing) {
+    this.baseTiming = resolveTiming(timing);
+    this.timing = this.baseTiming;
+  }
+
+  /**
+   * Set which result drives the adaptive level
+   * @param {'accuracy' | 'dPrime' | 'aPrime'} metric
+   */
+  setLevelMetric(metric) {
+    this.levelMetric = LEVEL_METRICS[metric] ? metric : 'accuracy';
+  }
+
+  /**
+   * Set the policy that turns block results into the next level
+   * @param {'threshold' | 'brainWorkshop' | 'consecutive' | 'staircase'} policy
+   */
+  setProgressionPolicy(policy) {
+    this.progressionPolicy = PROGRESSION_POLICIES[policy] ? policy : 'threshold';
+  }
+
+  /**
+   * Set the sub-level the next block starts at (staircase policy only)
+   * @param {number} subLevel
+   */
+  setSubLevel(subLevel) {
+    this.subLevel = Number.isFinite(subLevel) ? subLevel : 0;
+  }
+
+  /**
+   * Pin the generator parameters of the next blocks, e.g. to replay a stored
+   * block; null derives them from the settings and sub-level again
+   * @param {{ timing: object, lureRates: object, matchRate: number } | null} difficulty
+   */
+  setDifficulty(difficulty) {
+    this.fixedDifficulty = difficulty && {
+      timing: resolveTiming(difficulty.timing),
+      lureRates: resolveLureRates(difficulty.lureRates),
+      matchRate: Number.isFinite(difficulty.matchRate) ? difficulty.matchRate : BLOCK.MATCH_RATE
+    };
+  }
+
+  /**
+   * Set where earlier blocks are read from when the policy needs history
+   * @param {{ getSessions: (limit: number) => Promise<object[]> } | null} history - Usually the Storage instance
+   */
+  setHistorySource(history) {
+    this.history = history;
+  }
+
+  /**
+   * Decide the next level for the block just played
+   * @param {object} results - Scorer results
+   * @returns {Promise<{ nextLevel: number, nextSubLevel: number }>}
+   */
+  async getNextLevel(results) {
+    if (this.progressionPolicy === 'staircase') {
+      const { n, subLevel } = stepStaircase(this.currentN, this.subLevel, results[this.levelMetric], this.levelMetric);
+      return { nextLevel: n, nextSubLevel: subLevel };
     }
+
+    let streak = [];
+    if (this.progressionPolicy !== 'threshold' && this.history) {
+      try {
+        const sessions = await this.history.getSessions(PROGRESSION_HISTORY);
+        streak = getLevelStreak(sessions, this.currentN, this.mode);
+      } catch (err) {
+        console.warn('Could not read history for level progression:', err);
+      }
+    }
+    const nextLevel = decideNextLevel(this.progressionPolicy, {
+      currentN: this.currentN,
+      results,
+      metric: this.levelMetric,
+      streak
+    });
+    return { nextLevel, nextSubLevel: 0 };
+  }
+
+  /**
+   * Set the game mode
+   * @param {'single' | 'dual' | 'spatial'} mode - Single (audio only), dual (audio + position)
+   *   or spatial (audio + stereo location) n-back
+   */
+  setMode(mode) {
+    this.mode = GENERATORS[mode] ? mode : MODES.SINGLE;
   }
 
   /**
@@ -172,6 +466,7 @@ export class GameEngine extends EventTarget {
   pause() {
     if (this.state === 'playing') {
       this.state = 'paused';
+      this.scheduler.pause();
       this.dispatchEvent(new CustomEvent('paused'));
     }
   }
@@ -182,6 +477,10 @@ export class GameEngine extends EventTarget {
   resume() {
     if (this.state === 'paused') {
       this.state = 'playing';
+      this.scheduler.resume();
+      if (this.trialRecord && !this.trialRecord.responses) {
+        this.trialRecord.onset = this.scheduler.getOnsetTimestamp(this.trialRecord.trialIndex);
+      }
       this.dispatchEvent(new CustomEvent('resumed'));
     }
   }
@@ -191,14 +490,15 @@ export class GameEngine extends EventTarget {
    */
   stop() {
     this.state = 'idle';
+    this.scheduler.stop();
     this.inputManager.disable();
     this.inputManager.off('press', this._onPress);
     if (this.trialTimeout) {
-      clearTimeout(this.trialTimeout);
+      this.clock.clearTimeout(this.trialTimeout);
       this.trialTimeout = null;
     }
     if (this.isiTimeout) {
-      clearTimeout(this.isiTimeout);
+      this.clock.clearTimeout(this.isiTimeout);
       this.isiTimeout = null;
     }
     this.dispatchEvent(new CustomEvent('stopped'));
@@ -232,13 +532,13 @@ export class GameEngine extends EventTarget {
   sleep(ms) {
     return new Promise(resolve => {
       let remaining = ms;
-      let lastTime = Date.now();
+      let lastTime = this.clock.now();
 
       const tick = () => {
         // Stopped — unblock immediately
         if (this.state === 'idle') { resolve(); return; }
 
-        const now = Date.now();
+        const now = this.clock.now();
         // Only count time while playing
         if (this.state !== 'paused') {
           remaining -= (now - lastTime);
@@ -248,11 +548,11 @@ export class GameEngine extends EventTarget {
         if (remaining <= 0) {
           resolve();
         } else {
-          setTimeout(tick, 32);
+          this.clock.setTimeout(tick, 32);
         }
       };
 
-      setTimeout(tick, 32);
+      this.clock.setTimeout(tick, 32);
     });
   }
 }
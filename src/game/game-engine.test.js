@@ -0,0 +1,230 @@
+import { GameEngine } from './game-engine.js';
+import { FakeClock } from './clock.js';
+import { SilentStimuli, ScriptedResponder, scriptResponses } from './headless.js';
+import { MODES, STIMULUS_SETS } from '../utils/constants.js';
+
+/**
+ * Build an engine on a fake clock and collect its events
+ * @param {object} [stimuliOptions] - SilentStimuli options
+ */
+function createHeadlessEngine(stimuliOptions) {
+  const clock = new FakeClock({ start: 1_000_000 });
+  const stimuli = new SilentStimuli(clock, stimuliOptions);
+  const responder = new ScriptedResponder(clock);
+  const engine = new GameEngine(stimuli, responder, { clock });
+  const events = { trialStart: [], trialEnd: [], blockComplete: [] };
+  for (const name of Object.keys(events)) {
+    engine.addEventListener(name, (e) => events[name].push(e.detail));
+  }
+  return { clock, stimuli, responder, engine, events };
+}
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+  const realStart = Date.now();
+
+  // Test 1: A perfect player finishes a block with full accuracy and a level up
+  const perfect = createHeadlessEngine();
+  scriptResponses(perfect.engine, perfect.responder, perfect.clock, (trial) => (
+    trial.isMatch ? [{ rt: 400 }] : []
+  ));
+  const result = await perfect.engine.startBlock(2, 22, 12345);
+  const { events } = perfect;
+  if (result.results.accuracy === 1 && result.nextLevel === 3
+    && events.trialStart.length === 22 && events.trialEnd.length === 22
+    && events.blockComplete.length === 1 && events.blockComplete[0].nextLevel === 3) {
+    console.log('Test 1 PASS: Perfect scripted player completes block with level up');
+    passed++;
+  } else {
+    console.log(`Test 1 FAIL: accuracy ${result.results.accuracy}, nextLevel ${result.nextLevel}, `
+      + `events ${events.trialStart.length}/${events.trialEnd.length}/${events.blockComplete.length}`);
+    failed++;
+  }
+
+  // Test 2: A full block runs in well under its real duration
+  const realElapsed = Date.now() - realStart;
+  const virtualElapsed = perfect.clock.now() - 1_000_000;
+  if (virtualElapsed > 60000 && realElapsed < virtualElapsed / 10) {
+    console.log(`Test 2 PASS: ${Math.round(virtualElapsed / 1000)} s block ran in ${realElapsed} ms`);
+    passed++;
+  } else {
+    console.log(`Test 2 FAIL: Virtual ${virtualElapsed} ms took ${realElapsed} ms real time`);
+    failed++;
+  }
+
+  // Test 3: Reaction times are measured from the scheduled onset on the fake clock
+  const rts = result.trials.filter(t => t.responses.audio.outcome === 'hit').map(t => t.responses.audio.rt);
+  if (rts.length > 0 && rts.every(rt => rt >= 400 && rt < 420)) {
+    console.log('Test 3 PASS: Scripted RTs are recovered from trial records');
+    passed++;
+  } else {
+    console.log(`Test 3 FAIL: Unexpected RTs ${rts.join(',')}`);
+    failed++;
+  }
+
+  // Test 4: Trial events follow the sequence and onsets are one ISI apart
+  const onsets = events.trialStart.map(t => t.onsetTimestamp);
+  const spacedByIsi = onsets.slice(1).every((onset, i) => onset - onsets[i] === perfect.engine.timing.isi);
+  const matchesAgree = events.trialStart.every(t => t.isMatch === perfect.engine.sequence.matchPositions.includes(t.trialIndex));
+  const letters = perfect.stimuli.played.filter(p => p.name.length === 1).map(p => p.name).join('');
+  if (spacedByIsi && matchesAgree && letters === perfect.engine.sequence.letters.join('')) {
+    console.log('Test 4 PASS: Trial events and scheduled letters follow the sequence');
+    passed++;
+  } else {
+    console.log(`Test 4 FAIL: spaced ${spacedByIsi}, matches ${matchesAgree}, letters ${letters}`);
+    failed++;
+  }
+
+  // Test 5: A player who never presses misses every match; same seed gives the same sequence
+  const idle = createHeadlessEngine();
+  const idleResult = await idle.engine.startBlock(2, 22, 12345);
+  const matchCount = idle.engine.sequence.matchPositions.length;
+  if (idleResult.results.misses === matchCount && idleResult.results.hits === 0
+    && idleResult.results.falseAlarms === 0 && idleResult.nextLevel === 1
+    && idle.engine.sequence.letters.join('') === perfect.engine.sequence.letters.join('')) {
+    console.log('Test 5 PASS: Silent player misses all matches and drops a level');
+    passed++;
+  } else {
+    console.log(`Test 5 FAIL: ${JSON.stringify(idleResult.results)}`);
+    failed++;
+  }
+
+  // Test 6: Dual mode scores each channel from scripted presses
+  const dual = createHeadlessEngine();
+  dual.engine.setMode(MODES.DUAL);
+  scriptResponses(dual.engine, dual.responder, dual.clock, (trial, engine) => (
+    engine.sequence.positionMatchPositions.includes(trial.trialIndex) ? [{ channel: 'position', rt: 300 }] : []
+  ));
+  const dualResult = await dual.engine.startBlock(2, 22, 777);
+  const { position, audio } = dualResult.results.modalities;
+  if (position.accuracy === 1 && audio.hits === 0 && audio.falseAlarms === 0) {
+    console.log('Test 6 PASS: Dual mode scores position presses separately');
+    passed++;
+  } else {
+    console.log(`Test 6 FAIL: position ${JSON.stringify(position)}, audio ${JSON.stringify(audio)}`);
+    failed++;
+  }
+
+  // Test 7: Pausing on the fake clock shifts later onsets by the paused time
+  const paused = createHeadlessEngine();
+  paused.engine.addEventListener('trialStart', (e) => {
+    if (e.detail.trialIndex === 3) {
+      paused.engine.pause();
+      paused.clock.setTimeout(() => paused.engine.resume(), 10000);
+    }
+  });
+  await paused.engine.startBlock(2, 22, 12345);
+  const pausedOnsets = paused.events.trialStart.map(t => t.onsetTimestamp);
+  const gap = pausedOnsets[4] - pausedOnsets[3];
+  if (paused.events.trialEnd.length === 22 && gap >= paused.engine.timing.isi + 10000 - 20
+    && gap <= paused.engine.timing.isi + 10000 + 20) {
+    console.log('Test 7 PASS: Pause shifts later onsets');
+    passed++;
+  } else {
+    console.log(`Test 7 FAIL: Gap after pause ${gap} ms`);
+    failed++;
+  }
+
+  // Test 8: Trials whose letter can't be voiced are flagged and left out of scoring
+  const silentK = createHeadlessEngine({ missing: ['K'] });
+  scriptResponses(silentK.engine, silentK.responder, silentK.clock, (trial) => (
+    trial.isMatch ? [{ rt: 400 }] : []
+  ));
+  const silentResult = await silentK.engine.startBlock(2, 22, 12345);
+  const kTrials = silentResult.trials.filter(t => t.letter === 'K');
+  const scored = silentResult.results.hits + silentResult.results.misses
+    + silentResult.results.falseAlarms + silentResult.results.correctRejections;
+  if (kTrials.length > 0 && kTrials.every(t => t.delivered === false && !t.responses.audio)
+    && silentResult.trials.every(t => t.letter === 'K' || t.delivered)
+    && silentResult.results.undelivered === kTrials.length
+    && scored === 22 - kTrials.length && silentResult.results.accuracy === 1) {
+    console.log(`Test 8 PASS: ${kTrials.length} undelivered trials excluded from scoring`);
+    passed++;
+  } else {
+    console.log(`Test 8 FAIL: ${kTrials.length} K trials, scored ${scored}, ${JSON.stringify(silentResult.results)}`);
+    failed++;
+  }
+
+  // Test 9: Spatial mode pans each letter and scores location presses, from either second-stream key, on their own
+  const spatial = createHeadlessEngine();
+  spatial.engine.setMode(MODES.SPATIAL);
+  scriptResponses(spatial.engine, spatial.responder, spatial.clock, (trial, engine) => {
+    if (!engine.sequence.locationMatchPositions.includes(trial.trialIndex)) return [];
+    return [{ channel: trial.trialIndex % 2 ? 'location' : 'position', rt: 350 }];
+  });
+  const spatialResult = await spatial.engine.startBlock(2, 22, 4242);
+  const spatialLetters = spatial.stimuli.played.filter(p => p.name.length === 1);
+  const locationsPlayed = spatialLetters.map(p => p.location).join('');
+  if (spatialResult.results.modalities.location.accuracy === 1
+    && spatialResult.results.modalities.audio.hits === 0
+    && spatialResult.results.modalities.audio.falseAlarms === 0
+    && locationsPlayed === spatial.engine.sequence.locations.join('')
+    && spatialResult.trials.every((t, i) => t.location === spatial.engine.sequence.locations[i])) {
+    console.log('Test 9 PASS: Spatial mode scores the location stream separately');
+    passed++;
+  } else {
+    console.log(`Test 9 FAIL: location ${JSON.stringify(spatialResult.results.modalities.location)}, played ${locationsPlayed}`);
+    failed++;
+  }
+
+  // Test 10: A different stimulus set is what the audio stream plays
+  const digitRun = createHeadlessEngine();
+  digitRun.engine.setStimuli(STIMULUS_SETS.digits.items);
+  const digitResult = await digitRun.engine.startBlock(2, 22, 99);
+  const digitsPlayed = digitRun.stimuli.played.map(p => p.name).filter(name => STIMULUS_SETS.digits.items.includes(name));
+  if (digitsPlayed.length === 22 && digitResult.trials.every(t => STIMULUS_SETS.digits.items.includes(t.letter))) {
+    console.log('Test 10 PASS: Digit sets play digits');
+    passed++;
+  } else {
+    console.log(`Test 10 FAIL: Played ${digitRun.stimuli.played.map(p => p.name).join(',')}`);
+    failed++;
+  }
+
+  // Test 11: Onsets come from their own stream, so other generator settings don't move them
+  const jittered = { isi: 3000, responseWindow: 2000, isiJitter: 400 };
+  const fewLures = createHeadlessEngine();
+  const manyLures = createHeadlessEngine();
+  fewLures.engine.setTiming(jittered);
+  manyLures.engine.setTiming(jittered);
+  manyLures.engine.setLureRates({ 'n-1': 0.5, 'n+1': 0.5, '2n': 0.5 });
+  await fewLures.engine.startBlock(2, 22, 777);
+  await manyLures.engine.startBlock(2, 22, 777);
+  if (fewLures.engine.onsets.join() === manyLures.engine.onsets.join()
+    && fewLures.engine.sequence.letters.join('') !== manyLures.engine.sequence.letters.join('')) {
+    console.log('Test 11 PASS: Lure rates change the letters but not the onsets');
+    passed++;
+  } else {
+    console.log(`Test 11 FAIL: Onsets ${fewLures.engine.onsets.join()} vs ${manyLures.engine.onsets.join()}`);
+    failed++;
+  }
+
+  // Test 12: Pinned generator parameters replay a block whatever the current settings
+  const original = createHeadlessEngine();
+  original.engine.setProgressionPolicy('staircase');
+  original.engine.setSubLevel(0.75);
+  original.engine.setTiming(jittered);
+  await original.engine.startBlock(3, 23, 2024);
+  const replayed = createHeadlessEngine();
+  replayed.engine.setDifficulty(JSON.parse(JSON.stringify(original.engine.difficulty)));
+  await replayed.engine.startBlock(3, 23, 2024);
+  if (replayed.engine.sequence.letters.join('') === original.engine.sequence.letters.join('')
+    && replayed.engine.onsets.join() === original.engine.onsets.join()
+    && replayed.engine.timing.isi === original.engine.timing.isi) {
+    console.log('Test 12 PASS: Replays restore the generator parameters');
+    passed++;
+  } else {
+    console.log(`Test 12 FAIL: Replayed ${replayed.engine.sequence.letters.join('')} vs ${original.engine.sequence.letters.join('')}`);
+    failed++;
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('All tests passed!');
+  }
+
+  return failed === 0;
+}
+
+runTests();
@@ -0,0 +1,100 @@
+/**
+ * Adapters that let GameEngine run without a browser: stimuli are recorded
+ * instead of played, and responses come from a script instead of the DOM.
+ */
+
+/**
+ * Stimulus adapter with the AudioManager surface GameEngine and
+ * StimulusScheduler use, timed by a clock and producing no sound
+ */
+export class SilentStimuli {
+  /**
+   * @param {{ now: () => number }} clock - Usually a FakeClock
+   * @param {object} [options]
+   * @param {string[]} [options.missing] - Stimuli that can't be voiced, as if their audio failed to load
+   */
+  constructor(clock, { missing = [] } = {}) {
+    this.clock = clock;
+    this.missing = new Set(missing);
+    this.played = []; // { name, when, location } in clock seconds, in scheduling order
+  }
+
+  currentTime() {
+    return this.clock.now() / 1000;
+  }
+
+  contextTimeToTimestamp(contextTime) {
+    return contextTime * 1000;
+  }
+
+  play(name, when = 0, location = undefined) {
+    const entry = { name, when: when || this.currentTime(), location, stopped: false };
+    this.played.push(entry);
+    return { stop: () => { entry.stopped = true; } };
+  }
+
+  playLetter(letter, when = 0, location = undefined) {
+    return this.missing.has(letter) ? null : this.play(letter, when, location);
+  }
+}
+
+/**
+ * Response adapter with the InputManager surface GameEngine uses.
+ * Presses are injected with press(), timestamped on the clock.
+ */
+export class ScriptedResponder extends EventTarget {
+  /**
+   * @param {{ now: () => number }} clock
+   */
+  constructor(clock) {
+    super();
+    this.clock = clock;
+    this.enabled = false;
+  }
+
+  on(eventName, handler) {
+    this.addEventListener(eventName, handler);
+  }
+
+  off(eventName, handler) {
+    this.removeEventListener(eventName, handler);
+  }
+
+  enable() {
+    this.enabled = true;
+  }
+
+  disable() {
+    this.enabled = false;
+  }
+
+  /**
+   * Press a response button now
+   * @param {'audio' | 'position'} [channel='audio']
+   */
+  press(channel = 'audio') {
+    if (!this.enabled) return;
+    this.dispatchEvent(new CustomEvent('press', {
+      detail: { type: 'scripted', channel, timestamp: this.clock.now() }
+    }));
+  }
+}
+
+/**
+ * Press according to a script on every trial of a block
+ * @param {import('./game-engine.js').GameEngine} engine
+ * @param {ScriptedResponder} responder
+ * @param {{ setTimeout: function }} clock
+ * @param {(trial: object, engine: object) => { channel?: string, rt: number }[]} script -
+ *   Called with each trialStart detail; returns the presses to make and their RTs in ms
+ * @returns {function} - Removes the script
+ */
+export function scriptResponses(engine, responder, clock, script) {
+  const onTrialStart = (e) => {
+    for (const { channel = 'audio', rt } of script(e.detail, engine) || []) {
+      clock.setTimeout(() => responder.press(channel), rt);
+    }
+  };
+  engine.addEventListener('trialStart', onTrialStart);
+  return () => engine.removeEventListener('trialStart', onTrialStart);
+}
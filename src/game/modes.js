@@ -0,0 +1,15 @@
+import { MODES } from '../utils/constants.js';
+
+/**
+ * Game mode from the settings toggles. Dual and spatial are kept mutually
+ * exclusive by the settings screen; if both are somehow set, dual wins.
+ * @param {object} [settings]
+ * @param {boolean} [settings.dualMode]
+ * @param {boolean} [settings.spatialMode]
+ * @returns {string} One of MODES
+ */
+export function resolveMode({ dualMode = false, spatialMode = false } = {}) {
+  if (dualMode) return MODES.DUAL;
+  if (spatialMode) return MODES.SPATIAL;
+  return MODES.SINGLE;
+}
@@ -0,0 +1,64 @@
+/**
+ * Aggregations of stored sessions for the progress view
+ */
+
+/**
+ * Local calendar day key (YYYY-MM-DD) for a timestamp
+ * @param {number} timestamp
+ * @returns {string}
+ */
+export function dayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Average and max N per day, oldest day first
+ * @param {object[]} sessions - Stored sessions (any order)
+ * @returns {{ day: string, timestamp: number, avgN: number, maxN: number, blocks: number }[]}
+ */
+export function aggregateByDay(sessions) {
+  const days = new Map();
+  for (const session of sessions) {
+    const key = dayKey(session.timestamp);
+    if (!days.has(key)) {
+      days.set(key, { day: key, timestamp: session.timestamp, totalN: 0, maxN: 0, blocks: 0 });
+    }
+    const entry = days.get(key);
+    entry.totalN += session.n;
+    entry.maxN = Math.max(entry.maxN, session.n);
+    entry.blocks++;
+    entry.timestamp = Math.min(entry.timestamp, session.timestamp);
+  }
+
+  return [...days.values()]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(({ day, timestamp, totalN, maxN, blocks }) => ({
+      day,
+      timestamp,
+      avgN: totalN / blocks,
+      maxN,
+      blocks
+    }));
+}
+
+/**
+ * Trailing moving average; early points average over what is available
+ * @param {number[]} values
+ * @param {number} window - Number of points to average over
+ * @returns {number[]}
+ */
+export function movingAverage(values, window) {
+  const result = [];
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= window) {
+      sum -= values[i - window];
+    }
+    result.push(sum / Math.min(i + 1, window));
+  }
+  return result;
+}
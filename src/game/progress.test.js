@@ -0,0 +1,63 @@
+import { aggregateByDay, movingAverage, dayKey } from './progress.js';
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  const day1 = new Date(2026, 0, 5, 9, 0).getTime();
+  const day1Later = new Date(2026, 0, 5, 21, 30).getTime();
+  const day2 = new Date(2026, 0, 7, 12, 0).getTime();
+
+  // Test 1: Sessions are grouped per local day with average and max N
+  const days = aggregateByDay([
+    { timestamp: day2, n: 4 },
+    { timestamp: day1, n: 2 },
+    { timestamp: day1Later, n: 3 }
+  ]);
+  if (days.length === 2 && days[0].day === dayKey(day1) && days[0].avgN === 2.5
+    && days[0].maxN === 3 && days[0].blocks === 2 && days[1].maxN === 4) {
+    console.log('Test 1 PASS: Sessions aggregate per day, oldest first');
+    passed++;
+  } else {
+    console.log(`Test 1 FAIL: Unexpected daily aggregates ${JSON.stringify(days)}`);
+    failed++;
+  }
+
+  // Test 2: Day keys use the local calendar date
+  if (dayKey(day1) === '2026-01-05') {
+    console.log('Test 2 PASS: Day key is the local date');
+    passed++;
+  } else {
+    console.log(`Test 2 FAIL: Expected 2026-01-05, got ${dayKey(day1)}`);
+    failed++;
+  }
+
+  // Test 3: Moving average is trailing and handles the warm-up
+  const averaged = movingAverage([1, 2, 3, 4, 5], 3);
+  if (JSON.stringify(averaged) === JSON.stringify([1, 1.5, 2, 3, 4])) {
+    console.log('Test 3 PASS: Moving average is correct');
+    passed++;
+  } else {
+    console.log(`Test 3 FAIL: Unexpected moving average ${JSON.stringify(averaged)}`);
+    failed++;
+  }
+
+  // Test 4: Empty history gives empty aggregates
+  if (aggregateByDay([]).length === 0 && movingAverage([], 5).length === 0) {
+    console.log('Test 4 PASS: Empty history is handled');
+    passed++;
+  } else {
+    console.log('Test 4 FAIL: Empty history not handled');
+    failed++;
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('All tests passed!');
+  }
+
+  return failed === 0;
+}
+
+runTests();
@@ -0,0 +1,87 @@
+import { ADAPTIVE, LEVEL_METRICS, PROGRESSION_POLICIES } from '../utils/constants.js';
+import { calculateNextLevel } from './scorer.js';
+
+/**
+ * Level progression policies. Each one receives the block just played and the
+ * streak of earlier blocks at the same level, and returns the next level.
+ * The fractional staircase policy lives in staircase.js since it also tracks a sub-level.
+ */
+const POLICIES = {
+  /**
+   * One block decides, against the level metric's thresholds
+   */
+  threshold({ currentN, results, metric }) {
+    return calculateNextLevel(currentN, results[metric], metric);
+  },
+
+  /**
+   * Brain Workshop: advance at 80% accuracy, drop after three blocks in a row below 50%
+   */
+  brainWorkshop({ currentN, results, streak }) {
+    const { ADVANCE_THRESHOLD, FALLBACK_THRESHOLD, FALLBACK_BLOCKS } = PROGRESSION_POLICIES.brainWorkshop;
+    if (results.accuracy >= ADVANCE_THRESHOLD) {
+      return levelUp(currentN);
+    }
+    const recent = [results, ...streak].slice(0, FALLBACK_BLOCKS);
+    if (recent.length === FALLBACK_BLOCKS && recent.every(r => r.accuracy < FALLBACK_THRESHOLD)) {
+      return levelDown(currentN);
+    }
+    return currentN;
+  },
+
+  /**
+   * Advance only after consecutive passing blocks; one failing block still drops
+   */
+  consecutive({ currentN, results, metric, streak }) {
+    const { INCREASE_THRESHOLD, DECREASE_THRESHOLD } = LEVEL_METRICS[metric] || LEVEL_METRICS.accuracy;
+    const { PASSING_BLOCKS } = PROGRESSION_POLICIES.consecutive;
+    if (results[metric] < DECREASE_THRESHOLD) {
+      return levelDown(currentN);
+    }
+    const recent = [results, ...streak].slice(0, PASSING_BLOCKS);
+    if (recent.length === PASSING_BLOCKS && recent.every(r => r[metric] >= INCREASE_THRESHOLD)) {
+      return levelUp(currentN);
+    }
+    return currentN;
+  }
+};
+
+/**
+ * Earlier blocks that belong to the current stay at a level: the most recent
+ * sessions played at `n` in `mode` that did not change the level.
+ * @param {object[]} sessions - Stored sessions, most recent first
+ * @param {number} n - Current level
+ * @param {'single' | 'dual' | 'spatial'} mode - Current game mode (one of MODES, see modes.js)
+ * @returns {object[]} - Most recent first
+ */
+export function getLevelStreak(sessions, n, mode) {
+  const streak = [];
+  for (const session of sessions) {
+    if (session.n !== n || (session.mode ?? 'single') !== mode || (session.nextLevel ?? n) !== n) break;
+    streak.push(session);
+  }
+  return streak;
+}
+
+/**
+ * Decide the next level under a progression policy
+ * @param {'threshold' | 'brainWorkshop' | 'consecutive'} policy
+ * @param {object} context
+ * @param {number} context.currentN - Level of the block just played
+ * @param {object} context.results - Scorer results of that block
+ * @param {'accuracy' | 'dPrime' | 'aPrime'} [context.metric='accuracy'] - Level metric
+ * @param {object[]} [context.streak=[]] - Earlier blocks at this level, from getLevelStreak()
+ * @returns {number}
+ */
+export function decideNextLevel(policy, { currentN, results, metric = 'accuracy', streak = [] }) {
+  const decide = POLICIES[policy] || POLICIES.threshold;
+  return decide({ currentN, results, metric, streak });
+}
+
+function levelUp(n) {
+  return Math.min(n + 1, ADAPTIVE.MAX_N);
+}
+
+function levelDown(n) {
+  return Math.max(n - 1, ADAPTIVE.MIN_N);
+}
@@ -0,0 +1,108 @@
+import { decideNextLevel, getLevelStreak } from './progression.js';
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  const block = (accuracy, extra = {}) => ({ n: 3, nextLevel: 3, mode: 'single', accuracy, ...extra });
+
+  // Test 1: Threshold policy matches the single-block rule
+  const threshold = [0.9, 0.75, 0.6].map(accuracy => decideNextLevel('threshold', {
+    currentN: 3, results: { accuracy }
+  }));
+  if (threshold.join(',') === '4,3,2') {
+    console.log('Test 1 PASS: Threshold policy decides on one block');
+    passed++;
+  } else {
+    console.log(`Test 1 FAIL: Expected 4,3,2, got ${threshold.join(',')}`);
+    failed++;
+  }
+
+  // Test 2: Brain Workshop advances at 80%
+  const bwUp = decideNextLevel('brainWorkshop', { currentN: 3, results: { accuracy: 0.8 } });
+  if (bwUp === 4) {
+    console.log('Test 2 PASS: Brain Workshop advances at 80%');
+    passed++;
+  } else {
+    console.log(`Test 2 FAIL: Expected 4, got ${bwUp}`);
+    failed++;
+  }
+
+  // Test 3: Brain Workshop drops only on the third consecutive block below 50%
+  const twoStrikes = decideNextLevel('brainWorkshop', {
+    currentN: 3, results: { accuracy: 0.4 }, streak: [block(0.3), block(0.7), block(0.2)]
+  });
+  const threeStrikes = decideNextLevel('brainWorkshop', {
+    currentN: 3, results: { accuracy: 0.4 }, streak: [block(0.3), block(0.45)]
+  });
+  if (twoStrikes === 3 && threeStrikes === 2) {
+    console.log('Test 3 PASS: Brain Workshop drops after three blocks below 50%');
+    passed++;
+  } else {
+    console.log(`Test 3 FAIL: Expected 3 and 2, got ${twoStrikes} and ${threeStrikes}`);
+    failed++;
+  }
+
+  // Test 4: Consecutive policy needs two passing blocks to advance
+  const first = decideNextLevel('consecutive', { currentN: 3, results: { accuracy: 0.9 }, streak: [block(0.8)] });
+  const second = decideNextLevel('consecutive', { currentN: 3, results: { accuracy: 0.9 }, streak: [block(0.88)] });
+  const failing = decideNextLevel('consecutive', { currentN: 3, results: { accuracy: 0.5 }, streak: [block(0.9)] });
+  if (first === 3 && second === 4 && failing === 2) {
+    console.log('Test 4 PASS: Consecutive policy advances after two passing blocks');
+    passed++;
+  } else {
+    console.log(`Test 4 FAIL: Expected 3,4,2, got ${first},${second},${failing}`);
+    failed++;
+  }
+
+  // Test 5: Consecutive policy uses the level metric
+  const dPrime = decideNextLevel('consecutive', {
+    currentN: 3, results: { accuracy: 0.5, dPrime: 3 }, metric: 'dPrime', streak: [block(0.5, { dPrime: 2.8 })]
+  });
+  if (dPrime === 4) {
+    console.log('Test 5 PASS: Consecutive policy respects the level metric');
+    passed++;
+  } else {
+    console.log(`Test 5 FAIL: Expected 4, got ${dPrime}`);
+    failed++;
+  }
+
+  // Test 6: Streak stops at a level change, another level or another mode
+  const sessions = [
+    block(0.9),
+    block(0.9),
+    block(0.9, { nextLevel: 4 }), // Advanced, then came back down
+    block(0.9)
+  ];
+  const streak = getLevelStreak(sessions, 3, 'single');
+  const otherMode = getLevelStreak(sessions, 3, 'dual');
+  const otherLevel = getLevelStreak([block(0.9, { n: 2, nextLevel: 2 }), ...sessions], 3, 'single');
+  if (streak.length === 2 && otherMode.length === 0 && otherLevel.length === 0) {
+    console.log('Test 6 PASS: Streak covers only the current stay at the level');
+    passed++;
+  } else {
+    console.log(`Test 6 FAIL: Streak lengths ${streak.length}, ${otherMode.length}, ${otherLevel.length}`);
+    failed++;
+  }
+
+  // Test 7: Levels stay within bounds
+  const top = decideNextLevel('brainWorkshop', { currentN: 9, results: { accuracy: 1 } });
+  const bottom = decideNextLevel('consecutive', { currentN: 1, results: { accuracy: 0 } });
+  if (top === 9 && bottom === 1) {
+    console.log('Test 7 PASS: Policies respect MIN_N and MAX_N');
+    passed++;
+  } else {
+    console.log(`Test 7 FAIL: Expected 9 and 1, got ${top} and ${bottom}`);
+    failed++;
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('All tests passed!');
+  }
+
+  return failed === 0;
+}
+
+runTests();
@@ -1,7 +1,8 @@
-import { ADAPTIVE } from '../utils/constants.js';
+import { ADAPTIVE, LEVEL_METRICS } from '../utils/constants.js';
 
 /**
- * Scorer tracks hits, misses, false alarms, and calculates accuracy
+ * Scorer tracks hits, misses, false alarms, and calculates accuracy.
+ * Counts are kept per modality (e.g. 'audio', 'position') as well as in total.
  */
 export class Scorer {
   constructor() {
@@ -12,49 +13,30 @@ export class Scorer {
    * Record the result of one trial
    * @param {boolean} userPressed - Whether the user pressed during this trial
    * @param {boolean} wasMatch - Whether this trial was a match
+   * @param {string} modality - Stimulus stream the response belongs to (default 'audio')
+   * @param {string|null} lureType - Lure type of this trial ('n-1' | 'n+1' | '2n'), null if not a lure
    */
-  recordTrial(userPressed, wasMatch) {
-    if (wasMatch) {
-      this.totalMatches++;
-      if (userPressed) {
-        this.hits++;
-      } else {
-        this.misses++;
-      }
-    } else {
-      this.totalNonMatches++;
-      if (userPressed) {
-        this.falseAlarms++;
-      } else {
-        this.correctRejections++;
-      }
+  recordTrial(userPressed, wasMatch, modality = 'audio', lureType = null) {
+    if (!this.modalities[modality]) {
+      this.modalities[modality] = emptyCounts();
     }
+    tally(this, userPressed, wasMatch, lureType);
+    tally(this.modalities[modality], userPressed, wasMatch, lureType);
   }
 
   /**
    * Get the results of the current block
-   * @returns {{ hits: number, misses: number, falseAlarms: number, correctRejections: number, accuracy: number, hitRate: number, correctRejectionRate: number }}
+   * @returns {{ hits: number, misses: number, falseAlarms: number, correctRejections: number, accuracy: number, hitRate: number, correctRejectionRate: number, lures: object, modalities: object }}
    */
   getResults() {
-    // Hit rate = hits / total matches
-    const hitRate = this.totalMatches > 0 ? this.hits / this.totalMatches : 0;
-
-    // Correct rejection rate = correct rejections / total non-matches
-    const correctRejectionRate = this.totalNonMatches > 0
-      ? this.correctRejections / this.totalNonMatches
-      : 0;
-
-    // Overall accuracy = average of hit rate and correct rejection rate
-    const accuracy = (hitRate + correctRejectionRate) / 2;
+    const modalities = {};
+    for (const [name, counts] of Object.entries(this.modalities)) {
+      modalities[name] = summarize(counts);
+    }
 
     return {
-      hits: this.hits,
-      misses: this.misses,
-      falseAlarms: this.falseAlarms,
-      correctRejections: this.correctRejections,
-      accuracy,
-      hitRate,
-      correctRejectionRate
+      ...summarize(this),
+      modalities
     };
   }
 
@@ -62,26 +44,221 @@ export class Scorer {
    * Reset all counters
    */
   reset() {
-    this.hits = 0;
-    this.misses = 0;
-    this.falseAlarms = 0;
-    this.correctRejections = 0;
-    this.totalMatches = 0;
-    this.totalNonMatches = 0;
+    Object.assign(this, emptyCounts());
+    this.modalities = {};
+  }
+}
+
+/**
+ * Create a zeroed set of counters
+ * @returns {object}
+ */
+function emptyCounts() {
+  return {
+    hits: 0,
+    misses: 0,
+    falseAlarms: 0,
+    correctRejections: 0,
+    totalMatches: 0,
+    totalNonMatches: 0,
+    lures: {}
+  };
+}
+
+/**
+ * Add one trial outcome to a set of counters
+ * @param {object} counts - Counters to update in place
+ * @param {boolean} userPressed
+ * @param {boolean} wasMatch
+ * @param {string|null} lureType
+ */
+function tally(counts, userPressed, wasMatch, lureType) {
+  if (lureType && !wasMatch) {
+    if (!counts.lures[lureType]) {
+      counts.lures[lureType] = { trials: 0, falseAlarms: 0 };
+    }
+    counts.lures[lureType].trials++;
+    if (userPressed) {
+      counts.lures[lureType].falseAlarms++;
+    }
+  }
+
+  if (wasMatch) {
+    counts.totalMatches++;
+    if (userPressed) {
+      counts.hits++;
+    } else {
+      counts.misses++;
+    }
+  } else {
+    counts.totalNonMatches++;
+    if (userPressed) {
+      counts.falseAlarms++;
+    } else {
+      counts.correctRejections++;
+    }
+  }
+}
+
+/**
+ * Compute rates and accuracy from a set of counters
+ * @param {object} counts
+ * @returns {{ hits: number, misses: number, falseAlarms: number, correctRejections: number, accuracy: number, hitRate: number, correctRejectionRate: number, dPrime: number, criterion: number, aPrime: number, beta: number, lures: object }}
+ */
+function summarize(counts) {
+  // Hit rate = hits / total matches
+  const hitRate = counts.totalMatches > 0 ? counts.hits / counts.totalMatches : 0;
+
+  // Correct rejection rate = correct rejections / total non-matches
+  const correctRejectionRate = counts.totalNonMatches > 0
+    ? counts.correctRejections / counts.totalNonMatches
+    : 0;
+
+  // Overall accuracy = average of hit rate and correct rejection rate
+  const accuracy = (hitRate + correctRejectionRate) / 2;
+
+  // False-alarm rate on lure trials, per lure type
+  const lures = {};
+  for (const [type, lure] of Object.entries(counts.lures)) {
+    lures[type] = {
+      trials: lure.trials,
+      falseAlarms: lure.falseAlarms,
+      falseAlarmRate: lure.trials > 0 ? lure.falseAlarms / lure.trials : 0
+    };
+  }
+
+  return {
+    hits: counts.hits,
+    misses: counts.misses,
+    falseAlarms: counts.falseAlarms,
+    correctRejections: counts.correctRejections,
+    accuracy,
+    hitRate,
+    correctRejectionRate,
+    ...signalDetection(counts),
+    lures
+  };
+}
+
+/**
+ * Signal-detection measures from a set of counters. Rates are computed with
+ * the log-linear correction (add 0.5 to each cell) so that hit or false-alarm
+ * rates of exactly 0 or 1 still give finite z-scores.
+ * @param {object} counts
+ * @returns {{ dPrime: number, criterion: number, aPrime: number, beta: number }}
+ */
+export function signalDetection(counts) {
+  const h = (counts.hits + 0.5) / (counts.totalMatches + 1);
+  const f = (counts.falseAlarms + 0.5) / (counts.totalNonMatches + 1);
+  const zH = inverseNormalCdf(h);
+  const zF = inverseNormalCdf(f);
+
+  // Non-parametric sensitivity (Grier, 1971)
+  let aPrime;
+  if (h >= f) {
+    aPrime = 0.5 + ((h - f) * (1 + h - f)) / (4 * h * (1 - f));
+  } else {
+    aPrime = 0.5 - ((f - h) * (1 + f - h)) / (4 * f * (1 - h));
+  }
+
+  return {
+    dPrime: zH - zF,
+    criterion: -(zH + zF) / 2,
+    aPrime,
+    beta: Math.exp((zF * zF - zH * zH) / 2)
+  };
+}
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation,
+ * relative error < 1.15e-9)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} - z-score
+ */
+export function inverseNormalCdf(p) {
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+    1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+    6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+    -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+    3.754408661907416e+00];
+  const pLow = 0.02425;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
   }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
 }
 
 /**
- * Calculate the next n-back level based on accuracy
+ * Calculate the next n-back level based on a block score
  * @param {number} currentN - Current n-back level
- * @param {number} accuracy - Accuracy from 0 to 1
+ * @param {number} score - Value of the chosen metric (accuracy from 0 to 1 by default)
+ * @param {'accuracy' | 'dPrime' | 'aPrime'} metric - Which result drives the level (default 'accuracy')
  * @returns {number} - Next n-back level
  */
-export function calculateNextLevel(currentN, accuracy) {
-  if (accuracy >= ADAPTIVE.INCREASE_THRESHOLD) {
+export function calculateNextLevel(currentN, score, metric = 'accuracy') {
+  const { INCREASE_THRESHOLD, DECREASE_THRESHOLD } = LEVEL_METRICS[metric] || LEVEL_METRICS.accuracy;
+  if (score >= INCREASE_THRESHOLD) {
     return Math.min(currentN + 1, ADAPTIVE.MAX_N);
-  } else if (accuracy < ADAPTIVE.DECREASE_THRESHOLD) {
+  } else if (score < DECREASE_THRESHOLD) {
     return Math.max(currentN - 1, ADAPTIVE.MIN_N);
   }
   return currentN;
 }
+
+/**
+ * Classify a response for one modality of one trial
+ * @param {boolean} userPressed - Whether the user pressed during the response window
+ * @param {boolean} wasMatch - Whether this trial was a match
+ * @returns {'hit' | 'miss' | 'false-alarm' | 'correct-rejection'}
+ */
+export function getOutcome(userPressed, wasMatch) {
+  if (wasMatch) {
+    return userPressed ? 'hit' : 'miss';
+  }
+  return userPressed ? 'false-alarm' : 'correct-rejection';
+}
+
+/**
+ * Summarize reaction times per outcome across trial records.
+ * Only outcomes with a press (hits and false alarms) carry an RT.
+ * @param {object[]} trials - Trial records from GameEngine
+ * @returns {Object<string, { count: number, mean: number, median: number }>}
+ */
+export function summarizeReactionTimes(trials) {
+  const rtsByOutcome = {};
+  for (const trial of trials) {
+    for (const response of Object.values(trial.responses || {})) {
+      if (response.rt === null) continue;
+      if (!rtsByOutcome[response.outcome]) {
+        rtsByOutcome[response.outcome] = [];
+      }
+      rtsByOutcome[response.outcome].push(response.rt);
+    }
+  }
+
+  const summary = {};
+  for (const [outcome, rts] of Object.entries(rtsByOutcome)) {
+    const sorted = [...rts].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    summary[outcome] = {
+      count: sorted.length,
+      mean: sorted.reduce((sum, rt) => sum + rt, 0) / sorted.length,
+      median: sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid]
+    };
+  }
+  return summary;
+}
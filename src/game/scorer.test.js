@@ -1,4 +1,4 @@
-import { Scorer, calculateNextLevel } from './scorer.js';
+import { Scorer, calculateNextLevel, getOutcome, summarizeReactionTimes, inverseNormalCdf } from './scorer.js';
 
 function runTests() {
   let passed = 0;
@@ -123,6 +123,130 @@ function runTests() {
     failed++;
   }
 
+  // Test 7: Per-modality counts are tracked separately and summed in totals
+  const dualScorer = new Scorer();
+  dualScorer.recordTrial(true, true, 'audio');      // audio hit
+  dualScorer.recordTrial(false, true, 'audio');     // audio miss
+  dualScorer.recordTrial(true, false, 'position');  // position false alarm
+  dualScorer.recordTrial(false, false, 'position'); // position correct rejection
+  const dualResults = dualScorer.getResults();
+  const { audio, position } = dualResults.modalities;
+
+  if (audio.hits === 1 && audio.misses === 1 && audio.falseAlarms === 0
+    && position.falseAlarms === 1 && position.correctRejections === 1 && position.hits === 0) {
+    console.log('Test 7a PASS: Per-modality counts are correct');
+    passed++;
+  } else {
+    console.log(`Test 7a FAIL: Unexpected per-modality counts ${JSON.stringify(dualResults.modalities)}`);
+    failed++;
+  }
+
+  if (dualResults.hits === 1 && dualResults.misses === 1
+    && dualResults.falseAlarms === 1 && dualResults.correctRejections === 1) {
+    console.log('Test 7b PASS: Totals combine all modalities');
+    passed++;
+  } else {
+    console.log(`Test 7b FAIL: Unexpected totals ${JSON.stringify(dualResults)}`);
+    failed++;
+  }
+
+  // Test 8: False alarms on lure trials are broken down by lure type
+  const lureScorer = new Scorer();
+  lureScorer.recordTrial(true, false, 'audio', 'n-1');   // fell for an n-1 lure
+  lureScorer.recordTrial(false, false, 'audio', 'n-1');  // rejected an n-1 lure
+  lureScorer.recordTrial(false, false, 'audio', 'n+1');  // rejected an n+1 lure
+  lureScorer.recordTrial(true, false, 'audio', null);    // plain false alarm
+  const lureResults = lureScorer.getResults().lures;
+
+  if (lureResults['n-1'].trials === 2 && lureResults['n-1'].falseAlarms === 1
+    && Math.abs(lureResults['n-1'].falseAlarmRate - 0.5) < 0.001
+    && lureResults['n+1'].falseAlarmRate === 0 && !lureResults['2n']) {
+    console.log('Test 8 PASS: Lure false-alarm rates are correct');
+    passed++;
+  } else {
+    console.log(`Test 8 FAIL: Unexpected lure results ${JSON.stringify(lureResults)}`);
+    failed++;
+  }
+
+  // Test 9: Outcomes classify every press/match combination
+  if (getOutcome(true, true) === 'hit' && getOutcome(false, true) === 'miss'
+    && getOutcome(true, false) === 'false-alarm' && getOutcome(false, false) === 'correct-rejection') {
+    console.log('Test 9 PASS: Outcomes are classified correctly');
+    passed++;
+  } else {
+    console.log('Test 9 FAIL: Unexpected outcome classification');
+    failed++;
+  }
+
+  // Test 10: Reaction times are summarized per outcome (mean and median)
+  const trialRecords = [
+    { responses: { audio: { outcome: 'hit', rt: 400 } } },
+    { responses: { audio: { outcome: 'hit', rt: 600 } } },
+    { responses: { audio: { outcome: 'hit', rt: 1100 } } },
+    { responses: { audio: { outcome: 'miss', rt: null } } },
+    { responses: { audio: { outcome: 'false-alarm', rt: 700 }, position: { outcome: 'hit', rt: 500 } } }
+  ];
+  const rtSummary = summarizeReactionTimes(trialRecords);
+  if (rtSummary.hit.count === 4 && rtSummary.hit.mean === 650 && rtSummary.hit.median === 550
+    && rtSummary['false-alarm'].median === 700 && !rtSummary.miss) {
+    console.log('Test 10 PASS: Reaction times are summarized per outcome');
+    passed++;
+  } else {
+    console.log(`Test 10 FAIL: Unexpected RT summary ${JSON.stringify(rtSummary)}`);
+    failed++;
+  }
+
+  // Test 11: Inverse normal CDF matches known z-scores
+  if (Math.abs(inverseNormalCdf(0.5)) < 1e-9
+    && Math.abs(inverseNormalCdf(0.975) - 1.959964) < 1e-5
+    && Math.abs(inverseNormalCdf(0.01) + 2.326348) < 1e-5) {
+    console.log('Test 11 PASS: Inverse normal CDF is accurate');
+    passed++;
+  } else {
+    console.log('Test 11 FAIL: Inverse normal CDF is inaccurate');
+    failed++;
+  }
+
+  // Test 12: Signal-detection measures use the log-linear correction
+  // From Test 1: H = 5.5/7, F = 2.5/17
+  const h = 5.5 / 7;
+  const f = 2.5 / 17;
+  const expectedDPrime = inverseNormalCdf(h) - inverseNormalCdf(f);
+  const expectedCriterion = -(inverseNormalCdf(h) + inverseNormalCdf(f)) / 2;
+  if (Math.abs(results.dPrime - expectedDPrime) < 1e-9
+    && Math.abs(results.criterion - expectedCriterion) < 1e-9
+    && Math.abs(results.beta - Math.exp(expectedDPrime * expectedCriterion)) < 1e-9
+    && results.aPrime > 0.5 && results.aPrime < 1) {
+    console.log(`Test 12 PASS: d' = ${results.dPrime.toFixed(3)}, c = ${results.criterion.toFixed(3)}`);
+    passed++;
+  } else {
+    console.log(`Test 12 FAIL: Unexpected SDT measures ${JSON.stringify(results)}`);
+    failed++;
+  }
+
+  // Test 13: Perfect performance gives finite d'
+  const perfect = new Scorer();
+  for (let i = 0; i < 4; i++) perfect.recordTrial(true, true);
+  for (let i = 0; i < 16; i++) perfect.recordTrial(false, false);
+  const perfectResults = perfect.getResults();
+  if (Number.isFinite(perfectResults.dPrime) && perfectResults.dPrime > 2) {
+    console.log(`Test 13 PASS: Perfect block gives finite d' (${perfectResults.dPrime.toFixed(3)})`);
+    passed++;
+  } else {
+    console.log(`Test 13 FAIL: Expected finite d' > 2, got ${perfectResults.dPrime}`);
+    failed++;
+  }
+
+  // Test 14: d' can drive the level
+  if (calculateNextLevel(3, 2.6, 'dPrime') === 4 && calculateNextLevel(3, 2.0, 'dPrime') === 3
+    && calculateNextLevel(3, 1.2, 'dPrime') === 2) {
+    console.log('Test 14 PASS: d\' thresholds drive the level');
+    passed++;
+  } else {
+    console.log('Test 14 FAIL: d\' thresholds did not drive the level as expected');
+    failed++;
+  }
+
   console.log(`\nResults: ${passed} passed, ${failed} failed`);
 
   if (failed === 0) {
@@ -0,0 +1,148 @@
+import { LETTERS, POSITIONS, LOCATIONS } from '../utils/constants.js';
+import { getLureOffsets } from './sequence-generator.js';
+
+/**
+ * Statistics on generated sequences, to check the generator and to explain
+ * unusual blocks afterwards
+ */
+
+/**
+ * Analyze every stream of a sequence
+ * @param {object} sequence - Output of generateSequence(), generateDualSequence() or generateSpatialSequence()
+ * @returns {{ audio: object, position?: object, location?: object }} - analyzeStream() result per modality
+ */
+export function analyzeSequence(sequence) {
+  const analysis = {
+    audio: analyzeStream(sequence.letters, sequence.n, {
+      matchPositions: sequence.matchPositions,
+      plannedLures: sequence.plannedLures,
+      alphabet: sequence.alphabet || LETTERS
+    })
+  };
+  if (sequence.positions) {
+    analysis.position = analyzeStream(sequence.positions, sequence.n, {
+      matchPositions: sequence.positionMatchPositions,
+      plannedLures: sequence.positionPlannedLures,
+      alphabet: POSITIONS
+    });
+  }
+  if (sequence.locations) {
+    analysis.location = analyzeStream(sequence.locations, sequence.n, {
+      matchPositions: sequence.locationMatchPositions,
+      plannedLures: sequence.locationPlannedLures,
+      alphabet: LOCATIONS
+    });
+  }
+  return analysis;
+}
+
+/**
+ * Analyze one stimulus stream. Matches and lures are detected from the
+ * stimuli themselves, not taken from the generator's labels.
+ * @param {Array} values - Stimulus per trial
+ * @param {number} n - The n-back level
+ * @param {object} [options]
+ * @param {number[]} [options.matchPositions] - Positions the generator intended as matches
+ * @param {(string|null)[]} [options.plannedLures] - Deliberate lure per position (unknown if omitted)
+ * @param {Array} [options.alphabet] - Stimuli that could have been drawn (default: those that occur)
+ * @returns {object}
+ */
+export function analyzeStream(values, n, { matchPositions = [], plannedLures = null, alphabet = null } = {}) {
+  const offsets = getLureOffsets(n);
+  const intended = new Set(matchPositions);
+
+  let matches = 0;
+  let unplannedMatches = 0;
+  let accidentalLures = 0;
+  const lures = Object.fromEntries(Object.keys(offsets).map(type => [type, 0]));
+
+  for (let i = n; i < values.length; i++) {
+    if (values[i] === values[i - n]) {
+      matches++;
+      if (!intended.has(i)) unplannedMatches++;
+      continue;
+    }
+    const type = Object.keys(offsets).find(t => i >= offsets[t] && values[i - offsets[t]] === values[i]);
+    if (type) {
+      lures[type]++;
+      if (plannedLures && !plannedLures[i]) accidentalLures++;
+    }
+  }
+
+  const eligible = Math.max(values.length - n, 0);
+  return {
+    trials: values.length,
+    matches,
+    matchRate: eligible > 0 ? matches / eligible : 0,
+    unplannedMatches,
+    lures,
+    accidentalLures: plannedLures ? accidentalLures : null,
+    frequencies: frequencyBalance(values, alphabet),
+    longestRun: longestRun(values)
+  };
+}
+
+/**
+ * Compact per-modality summary small enough to store with every session
+ * @param {{ audio: object, position?: object, location?: object }} analysis - Output of analyzeSequence()
+ * @returns {object}
+ */
+export function summarizeSequenceQuality(analysis) {
+  const summary = {};
+  for (const [modality, stream] of Object.entries(analysis)) {
+    summary[modality] = {
+      matchRate: round(stream.matchRate, 3),
+      unplannedMatches: stream.unplannedMatches,
+      lures: stream.lures,
+      accidentalLures: stream.accidentalLures,
+      chiSquare: round(stream.frequencies.chiSquare, 2),
+      longestRun: stream.longestRun.length
+    };
+  }
+  return summary;
+}
+
+/**
+ * How evenly stimuli are used: count range and chi-square against a uniform draw
+ * @param {Array} values
+ * @param {Array | null} alphabet
+ * @returns {{ counts: Object<string, number>, min: number, max: number, chiSquare: number }}
+ */
+function frequencyBalance(values, alphabet) {
+  const items = alphabet || [...new Set(values)];
+  const counts = Object.fromEntries(items.map(item => [item, 0]));
+  for (const value of values) {
+    counts[value] = (counts[value] || 0) + 1;
+  }
+
+  const observed = Object.values(counts);
+  const expected = values.length / observed.length;
+  const chiSquare = expected > 0
+    ? observed.reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0)
+    : 0;
+
+  return { counts, min: Math.min(...observed), max: Math.max(...observed), chiSquare };
+}
+
+/**
+ * Longest stretch of the same stimulus on consecutive trials
+ * @param {Array} values
+ * @returns {{ value: *, start: number, length: number }}
+ */
+function longestRun(values) {
+  let best = { value: values[0], start: 0, length: values.length > 0 ? 1 : 0 };
+  let start = 0;
+  for (let i = 1; i <= values.length; i++) {
+    if (i < values.length && values[i] === values[start]) continue;
+    if (i - start > best.length) {
+      best = { value: values[start], start, length: i - start };
+    }
+    start = i;
+  }
+  return best;
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
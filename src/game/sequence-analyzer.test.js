@@ -0,0 +1,87 @@
+import { analyzeSequence, analyzeStream, summarizeSequenceQuality } from './sequence-analyzer.js';
+import { generateDualSequence } from './sequence-generator.js';
+import { createRandom } from '../utils/random.js';
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  // Test 1: Matches and match rate are detected from the stimuli
+  const stream = analyzeStream(['A', 'B', 'A', 'C', 'D', 'C'], 2, { matchPositions: [2] });
+  if (stream.matches === 2 && stream.matchRate === 0.5 && stream.unplannedMatches === 1) {
+    console.log('Test 1 PASS: Counts matches and flags the unplanned one');
+    passed++;
+  } else {
+    console.log(`Test 1 FAIL: Got matches=${stream.matches} rate=${stream.matchRate} unplanned=${stream.unplannedMatches}`);
+    failed++;
+  }
+
+  // Test 2: Lures not marked as planned are counted as accidental
+  // At 3-back, positions 3 and 5 both repeat the letter two trials earlier (n-1 lures)
+  const values = ['A', 'B', 'C', 'B', 'D', 'B'];
+  const planned = [null, null, null, 'n-1', null, null];
+  const lureStream = analyzeStream(values, 3, { plannedLures: planned });
+  if (lureStream.lures['n-1'] === 2 && lureStream.accidentalLures === 1) {
+    console.log('Test 2 PASS: Separates deliberate from accidental lures');
+    passed++;
+  } else {
+    console.log(`Test 2 FAIL: Got lures=${JSON.stringify(lureStream.lures)} accidental=${lureStream.accidentalLures}`);
+    failed++;
+  }
+
+  // Test 3: Accidental lures are unknown without the generator's plan
+  if (analyzeStream(values, 3).accidentalLures === null) {
+    console.log('Test 3 PASS: Accidental lures are null when the plan is unknown');
+    passed++;
+  } else {
+    console.log('Test 3 FAIL: Expected null accidental lures without a plan');
+    failed++;
+  }
+
+  // Test 4: Frequency balance over the alphabet, including unused stimuli
+  const balance = analyzeStream(['A', 'A', 'B', 'B'], 1, { alphabet: ['A', 'B', 'C'] }).frequencies;
+  const expectedChi = (2 * (2 - 4 / 3) ** 2 + (4 / 3) ** 2) / (4 / 3);
+  if (balance.min === 0 && balance.max === 2 && balance.counts.C === 0
+    && Math.abs(balance.chiSquare - expectedChi) < 1e-9) {
+    console.log('Test 4 PASS: Frequency counts and chi-square cover the whole alphabet');
+    passed++;
+  } else {
+    console.log(`Test 4 FAIL: Got ${JSON.stringify(balance)}`);
+    failed++;
+  }
+
+  // Test 5: Longest run of identical stimuli
+  const run = analyzeStream(['A', 'B', 'B', 'B', 'C', 'C'], 2).longestRun;
+  if (run.value === 'B' && run.start === 1 && run.length === 3) {
+    console.log('Test 5 PASS: Finds the longest run');
+    passed++;
+  } else {
+    console.log(`Test 5 FAIL: Got ${JSON.stringify(run)}`);
+    failed++;
+  }
+
+  // Test 6: Dual sequences get one compact summary per modality
+  const sequence = generateDualSequence(2, 22, 0.2, { random: createRandom(3) });
+  const summary = summarizeSequenceQuality(analyzeSequence(sequence));
+  if (summary.audio && summary.position
+    && summary.audio.matchRate === 0.2
+    && summary.audio.unplannedMatches === 0
+    && typeof summary.position.chiSquare === 'number'
+    && JSON.stringify(summary).length < 400) {
+    console.log('Test 6 PASS: Summarizes both streams compactly');
+    passed++;
+  } else {
+    console.log(`Test 6 FAIL: Got ${JSON.stringify(summary)}`);
+    failed++;
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('All tests passed!');
+  }
+
+  return failed === 0;
+}
+
+runTests();
@@ -1,20 +1,144 @@
-import { LETTERS, BLOCK } from '../utils/constants.js';
+import { LETTERS, POSITIONS, LOCATIONS, BLOCK, LURE_TYPES } from '../utils/constants.js';
 
 /**
  * Generate an n-back sequence with guaranteed matches
  * @param {number} n - The n-back level
  * @param {number} totalTrials - Total number of trials
- * @param {number} matchRate - Fraction of eligible positions that are matches (default ~30%)
- * @returns {{ letters: string[], matchPositions: number[], n: number, totalTrials: number }}
+ * @param {number} matchRate - Fraction of eligible positions that are matches (usually BLOCK.MATCH_RATE)
+ * @param {object} [options]
+ * @param {() => number} [options.random] - PRNG returning [0, 1) (default Math.random); pass a seeded one to reproduce a block
+ * @param {object} [options.lureRates] - Fraction of non-match positions to make each lure type, keyed by 'n-1' | 'n+1' | '2n'
+ * @param {boolean} [options.balance=true] - Fill non-matches with the least-used stimuli so frequencies stay even
+ * @param {number} [options.maxRun] - Most consecutive identical stimuli (at least 2)
+ * @param {boolean} [options.avoidRepeats=true] - Never repeat the previous stimulus unless a match or lure calls for it
+ * @param {string[]} [options.alphabet=LETTERS] - Items of the active stimulus set
+ * @returns {{ letters: string[], matchPositions: number[], lures: (string|null)[], plannedLures: (string|null)[], alphabet: string[], n: number, totalTrials: number }}
  */
-export function generateSequence(n, totalTrials = 20, matchRate = BLOCK.MATCH_RATE) {
+export function generateSequence(n, totalTrials = 20, matchRate = BLOCK.MATCH_RATE, options = {}) {
   // Ensure we have at least n+1 trials
   totalTrials = Math.max(totalTrials, n + 1);
 
-  const letters = new Array(totalTrials).fill(null);
-  const matchPositions = [];
+  const { alphabet = LETTERS } = options;
+  const { values, matchPositions, lures, plannedLures } = generateStream(n, totalTrials, matchRate, alphabet, resolveOptions(options));
 
-  // Scale match count with trial count (~30% of eligible positions)
+  return {
+    letters: values,
+    matchPositions,
+    lures,
+    plannedLures,
+    alphabet,
+    n,
+    totalTrials
+  };
+}
+
+/**
+ * Generate a dual n-back sequence: audio letters plus visual grid positions,
+ * each with its own independent match schedule
+ * @param {number} n - The n-back level
+ * @param {number} totalTrials - Total number of trials
+ * @param {number} matchRate - Fraction of eligible positions that are matches, per stream
+ * @param {object} [options]
+ * @param {() => number} [options.random] - PRNG returning [0, 1) (default Math.random)
+ * @param {object} [options.lureRates] - Lure rates applied to each stream
+ * @param {boolean} [options.balance=true] - Balance stimulus frequencies in each stream
+ * @param {number} [options.maxRun] - Most consecutive identical stimuli in each stream
+ * @param {boolean} [options.avoidRepeats=true] - Avoid unintended back-to-back repeats in each stream
+ * @param {string[]} [options.alphabet=LETTERS] - Items of the active stimulus set (audio stream only)
+ * @returns {{ letters: string[], matchPositions: number[], lures: (string|null)[], plannedLures: (string|null)[], alphabet: string[], positions: number[], positionMatchPositions: number[], positionLures: (string|null)[], positionPlannedLures: (string|null)[], n: number, totalTrials: number }}
+ */
+export function generateDualSequence(n, totalTrials = 20, matchRate = BLOCK.MATCH_RATE, options = {}) {
+  const resolved = resolveOptions(options);
+  const sequence = generateSequence(n, totalTrials, matchRate, { ...resolved, alphabet: options.alphabet });
+  const { values, matchPositions, lures, plannedLures } = generateStream(n, sequence.totalTrials, matchRate, POSITIONS, resolved);
+
+  return {
+    ...sequence,
+    positions: values,
+    positionMatchPositions: matchPositions,
+    positionLures: lures,
+    positionPlannedLures: plannedLures
+  };
+}
+
+/**
+ * Generate a spatial n-back sequence: audio letters plus the stereo location
+ * each letter is played at, each with its own independent match schedule
+ * @param {number} n - The n-back level
+ * @param {number} totalTrials - Total number of trials
+ * @param {number} matchRate - Fraction of eligible positions that are matches, per stream
+ * @param {object} [options] - Same options as generateDualSequence()
+ * @returns {{ letters: string[], matchPositions: number[], lures: (string|null)[], plannedLures: (string|null)[], alphabet: string[], locations: number[], locationMatchPositions: number[], locationLures: (string|null)[], locationPlannedLures: (string|null)[], n: number, totalTrials: number }}
+ */
+export function generateSpatialSequence(n, totalTrials = 20, matchRate = BLOCK.MATCH_RATE, options = {}) {
+  const resolved = resolveOptions(options);
+  const sequence = generateSequence(n, totalTrials, matchRate, { ...resolved, alphabet: options.alphabet });
+  const { values, matchPositions, lures, plannedLures } = generateStream(n, sequence.totalTrials, matchRate, LOCATIONS, resolved);
+
+  return {
+    ...sequence,
+    locations: values,
+    locationMatchPositions: matchPositions,
+    locationLures: lures,
+    locationPlannedLures: plannedLures
+  };
+}
+
+/**
+ * Fill in generator option defaults
+ * @param {object} options
+ * @returns {{ random: () => number, lureRates: object, balance: boolean, maxRun: number, avoidRepeats: boolean }}
+ */
+function resolveOptions({ random = Math.random, lureRates = BLOCK.LURE_RATES, balance = true, maxRun = BLOCK.MAX_RUN, avoidRepeats = true }) {
+  return { random, lureRates, balance, maxRun: Math.max(2, maxRun), avoidRepeats };
+}
+
+/**
+ * Lure rates from settings: every lure type, each clamped to
+ * 0…BLOCK.MAX_LURE_RATE, with the default for missing or invalid values
+ * @param {Object<string, number | string>} [lureRates]
+ * @returns {Object<string, number>}
+ */
+export function resolveLureRates(lureRates = {}) {
+  const resolved = {};
+  for (const type of LURE_TYPES) {
+    const rate = Number(lureRates[type]);
+    resolved[type] = Number.isFinite(rate)
+      ? Math.min(Math.max(rate, 0), BLOCK.MAX_LURE_RATE)
+      : BLOCK.LURE_RATES[type];
+  }
+  return resolved;
+}
+
+/**
+ * Distance back for each lure type that is meaningful at this level.
+ * n-1 is skipped for 1-back (it would compare a trial with itself) and
+ * 2n is skipped for 1-back (it coincides with n+1).
+ * @param {number} n - The n-back level
+ * @returns {Object<string, number>}
+ */
+export function getLureOffsets(n) {
+  const offsets = {};
+  if (n >= 2) offsets['n-1'] = n - 1;
+  offsets['n+1'] = n + 1;
+  if (2 * n !== n + 1) offsets['2n'] = 2 * n;
+  return offsets;
+}
+
+/**
+ * Generate a single stimulus stream with guaranteed matches and controlled lures
+ * @param {number} n - The n-back level
+ * @param {number} totalTrials - Total number of trials (already >= n+1)
+ * @param {number} matchRate - Fraction of eligible positions that are matches
+ * @param {Array} alphabet - Stimuli to draw from
+ * @param {object} options - Resolved generator options (see resolveOptions)
+ * @returns {{ values: Array, matchPositions: number[], lures: (string|null)[], plannedLures: (string|null)[] }} -
+ *   plannedLures marks the deliberately placed lures; any other lure is accidental
+ */
+function generateStream(n, totalTrials, matchRate, alphabet, { random, lureRates, balance, maxRun, avoidRepeats }) {
+  const values = new Array(totalTrials).fill(null);
+
+  // Scale match count with trial count (matchRate of eligible positions, usually BLOCK.MATCH_RATE)
   const maxPossibleMatches = totalTrials - n;
   const actualGuaranteedMatches = Math.max(1, Math.round(maxPossibleMatches * matchRate));
 
@@ -24,62 +148,172 @@ export function generateSequence(n, totalTrials = 20, matchRate = BLOCK.MATCH_RA
     possibleMatchPositions.push(i);
   }
 
-  // Shuffle and pick first 'actualGuaranteedMatches' positions
-  shuffleArray(possibleMatchPositions);
-  for (let i = 0; i < actualGuaranteedMatches && i < possibleMatchPositions.length; i++) {
-    matchPositions.push(possibleMatchPositions[i]);
+  // Shuffle and pick the first 'actualGuaranteedMatches' positions. At 1-back
+  // adjacent matches form a run, so they are skipped once a run would exceed maxRun.
+  shuffleArray(possibleMatchPositions, random);
+  const matchSet = new Set();
+  for (const i of possibleMatchPositions) {
+    if (matchSet.size >= actualGuaranteedMatches) break;
+    if (n === 1 && matchStreak(matchSet, i) >= maxRun) continue;
+    matchSet.add(i);
   }
-  matchPositions.sort((a, b) => a - b);
+  const matchPositions = [...matchSet].sort((a, b) => a - b);
 
-  // Step 2: Fill in the first n positions with random letters
-  for (let i = 0; i < n; i++) {
-    letters[i] = randomLetter();
+  // Step 2: Pick which non-match positions become deliberate lures.
+  // The rest of the shuffled positions are non-matches.
+  const offsets = getLureOffsets(n);
+  const plannedLures = new Array(totalTrials).fill(null);
+  const nonMatchPositions = possibleMatchPositions.filter(i => !matchSet.has(i));
+  for (const [type, offset] of Object.entries(offsets)) {
+    const count = Math.round(nonMatchPositions.length * (lureRates[type] || 0));
+    const eligible = nonMatchPositions.filter(i => i >= offset && !plannedLures[i]);
+    for (let k = 0; k < count && k < eligible.length; k++) {
+      plannedLures[eligible[k]] = type;
+    }
   }
 
-  // Step 3: Fill remaining positions
-  for (let i = n; i < totalTrials; i++) {
-    if (matchPositions.includes(i)) {
+  // The value a position will hold if `value` is placed at `at`: filled
+  // positions, the candidate itself, and later matches that copy a known value
+  const valueAt = (k, at, value) => {
+    if (k < 0 || k >= totalTrials) return undefined;
+    if (k < at) return values[k];
+    if (k === at) return value;
+    return matchSet.has(k) ? valueAt(k - n, at, value) : undefined;
+  };
+
+  // Whether placing `value` at `at` keeps runs within maxRun and, with
+  // avoidRepeats, creates no back-to-back repeat beyond an intended one with
+  // the previous position. Later matches copying the value are checked too.
+  const fits = (at, value, intendedRepeat) => {
+    for (let k = at; k < totalTrials && (k === at || matchSet.has(k)); k += n) {
+      let start = k;
+      let end = k;
+      while (valueAt(start - 1, at, value) === value) start--;
+      while (valueAt(end + 1, at, value) === value) end++;
+      if (end - start + 1 > maxRun) return false;
+
+      // At 1-back every repeat is a match, so only the run length matters
+      if (avoidRepeats && n > 1) {
+        const repeatsPrevious = valueAt(k - 1, at, value) === value && !(k === at && intendedRepeat);
+        if (repeatsPrevious || valueAt(k + 1, at, value) === value) return false;
+      }
+    }
+    return true;
+  };
+
+  // Step 3: Fill every position. Positions that aren't matches or planned
+  // lures avoid repeating any stimulus at a lure distance, so the lure rate
+  // is controlled rather than left to chance.
+  const counts = new Map(alphabet.map(item => [item, 0]));
+  const deferredLures = [];
+  for (let i = 0; i < totalTrials; i++) {
+    const nBack = i >= n ? values[i - n] : undefined;
+    const canLure = (type) => i >= n
+      && values[i - offsets[type]] !== nBack
+      && fits(i, values[i - offsets[type]], offsets[type] === 1);
+
+    if (matchSet.has(i)) {
       // This is a match position - copy from n positions back
-      letters[i] = letters[i - n];
+      values[i] = nBack;
+      counts.set(nBack, counts.get(nBack) + 1);
+      continue;
+    }
+
+    // A planned lure whose source equals the n-back stimulus would be a match,
+    // so it is deferred to the next non-match position that can take it
+    if (plannedLures[i] && !canLure(plannedLures[i])) {
+      deferredLures.push(plannedLures[i]);
+      plannedLures[i] = null;
+    }
+    if (!plannedLures[i]) {
+      const k = deferredLures.findIndex(canLure);
+      if (k !== -1) plannedLures[i] = deferredLures.splice(k, 1)[0];
+    }
+
+    if (plannedLures[i]) {
+      // Deliberate lure - copy from the lure distance back
+      values[i] = values[i - offsets[plannedLures[i]]];
     } else {
-      // This is a non-match position - pick a letter that doesn't match
-      letters[i] = randomNonMatchingLetter(letters[i - n]);
+      // Plain non-match - differ from n back, respect the run and repeat
+      // constraints and, where possible, avoid every lure distance
+      const avoid = Object.values(offsets)
+        .filter(offset => i >= offset)
+        .map(offset => values[i - offset]);
+      const candidates = alphabet.filter(item => item !== nBack);
+      const allowed = candidates.filter(item => fits(i, item, false));
+      const preferred = allowed.filter(item => !avoid.includes(item));
+      const pool = preferred.length > 0 ? preferred : allowed.length > 0 ? allowed : candidates;
+      values[i] = balance ? leastUsedItem(pool, counts, random) : randomItem(pool, random);
     }
+    counts.set(values[i], counts.get(values[i]) + 1);
   }
 
-  return {
-    letters,
-    matchPositions,
-    n,
-    totalTrials
-  };
+  return { values, matchPositions, lures: detectLures(values, matchSet, offsets, plannedLures), plannedLures };
+}
+
+/**
+ * Label each non-match position with the lure type it actually is, if any
+ * @param {Array} values - Stimulus stream
+ * @param {Set<number>} matchSet - Match positions
+ * @param {Object<string, number>} offsets - Lure distances by type
+ * @param {(string|null)[]} plannedLures - Deliberate lure types, preferred when a position qualifies for several
+ * @returns {(string|null)[]}
+ */
+function detectLures(values, matchSet, offsets, plannedLures) {
+  return values.map((value, i) => {
+    if (matchSet.has(i)) return null;
+    const planned = plannedLures[i];
+    if (planned && values[i - offsets[planned]] === value) return planned;
+    for (const [type, offset] of Object.entries(offsets)) {
+      if (i >= offset && values[i - offset] === value) return type;
+    }
+    return null;
+  });
+}
+
+/**
+ * Get a random item from an alphabet
+ * @param {Array} alphabet
+ * @param {() => number} random - PRNG returning [0, 1)
+ * @returns {*}
+ */
+function randomItem(alphabet, random) {
+  return alphabet[Math.floor(random() * alphabet.length)];
 }
 
 /**
- * Get a random letter from the LETTERS array
- * @returns {string}
+ * Get a random item among those used least so far
+ * @param {Array} pool - Candidate items
+ * @param {Map<*, number>} counts - Uses of each item so far
+ * @param {() => number} random - PRNG returning [0, 1)
+ * @returns {*}
  */
-function randomLetter() {
-  return LETTERS[Math.floor(Math.random() * LETTERS.length)];
+function leastUsedItem(pool, counts, random) {
+  const fewest = Math.min(...pool.map(item => counts.get(item)));
+  return randomItem(pool.filter(item => counts.get(item) === fewest), random);
 }
 
 /**
- * Get a random letter that is different from the given letter
- * @param {string} excludeLetter - Letter to exclude
- * @returns {string}
+ * Length of the run of consecutive match positions that adding i would create
+ * @param {Set<number>} matchSet - Match positions chosen so far
+ * @param {number} i - Candidate position
+ * @returns {number}
  */
-function randomNonMatchingLetter(excludeLetter) {
-  const filtered = LETTERS.filter(l => l !== excludeLetter);
-  return filtered[Math.floor(Math.random() * filtered.length)];
+function matchStreak(matchSet, i) {
+  let length = 1;
+  for (let k = i - 1; matchSet.has(k); k--) length++;
+  for (let k = i + 1; matchSet.has(k); k++) length++;
+  return length;
 }
 
 /**
  * Fisher-Yates shuffle
  * @param {Array} array - Array to shuffle in place
+ * @param {() => number} random - PRNG returning [0, 1)
  */
-function shuffleArray(array) {
+function shuffleArray(array, random) {
   for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [array[i], array[j]] = [array[j], array[i]];
   }
 }
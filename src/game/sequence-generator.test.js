@@ -1,5 +1,7 @@
-import { generateSequence } from './sequence-generator.js';
-import { BLOCK } from '../utils/constants.js';
+import { generateSequence, generateDualSequence, generateSpatialSequence, getLureOffsets, resolveLureRates } from './sequence-generator.js';
+import { BLOCK, LOCATIONS, POSITIONS, STIMULUS_SETS } from '../utils/constants.js';
+import { createRandom, parseSeed } from '../utils/random.js';
+import { analyzeSequence } from './sequence-analyzer.js';
 
 function runTests() {
   let passed = 0;
@@ -80,6 +82,249 @@ function runTests() {
     failed++;
   }
 
+  // Test 7: Dual sequence has a position stream with its own correct matches
+  const dual = generateDualSequence(2, 22);
+  let positionsCorrect = dual.positions.length === dual.totalTrials
+    && dual.positions.every(p => POSITIONS.includes(p));
+  for (let i = dual.n; i < dual.totalTrials && positionsCorrect; i++) {
+    const isMatch = dual.positions[i] === dual.positions[i - dual.n];
+    if (isMatch !== dual.positionMatchPositions.includes(i)) {
+      console.log(`Test 7 FAIL: Position stream match mismatch at ${i}`);
+      positionsCorrect = false;
+    }
+  }
+  if (positionsCorrect && dual.positionMatchPositions.length === expectedMatches) {
+    console.log('Test 7 PASS: Dual position stream matches its own schedule');
+    passed++;
+  } else {
+    console.log(`Test 7 FAIL: Expected ${expectedMatches} position matches, got ${dual.positionMatchPositions.length}`);
+    failed++;
+  }
+
+  // Test 8: Dual sequence letter stream is still valid
+  const lettersValid = dual.letters.length === dual.totalTrials
+    && dual.matchPositions.every(pos => dual.letters[pos] === dual.letters[pos - dual.n]);
+  if (lettersValid) {
+    console.log('Test 8 PASS: Dual letter stream matches are correct');
+    passed++;
+  } else {
+    console.log('Test 8 FAIL: Dual letter stream has incorrect matches');
+    failed++;
+  }
+
+  // Test 9: Same seed reproduces the identical sequence
+  const seededA = generateDualSequence(3, 30, BLOCK.MATCH_RATE, { random: createRandom(12345) });
+  const seededB = generateDualSequence(3, 30, BLOCK.MATCH_RATE, { random: createRandom(12345) });
+  if (JSON.stringify(seededA) === JSON.stringify(seededB)) {
+    console.log('Test 9 PASS: Same seed produces identical sequences');
+    passed++;
+  } else {
+    console.log('Test 9 FAIL: Same seed produced different sequences');
+    failed++;
+  }
+
+  // Test 10: Different seeds produce different sequences
+  const seededC = generateDualSequence(3, 30, BLOCK.MATCH_RATE, { random: createRandom(54321) });
+  if (JSON.stringify(seededA) !== JSON.stringify(seededC)) {
+    console.log('Test 10 PASS: Different seeds produce different sequences');
+    passed++;
+  } else {
+    console.log('Test 10 FAIL: Different seeds produced identical sequences');
+    failed++;
+  }
+
+  // Test 11: Seed parsing accepts numbers and words, empty means random
+  if (parseSeed('42') === 42 && parseSeed(' ') === null
+    && parseSeed('alpha') === parseSeed('alpha') && parseSeed('alpha') !== parseSeed('beta')) {
+    console.log('Test 11 PASS: Seeds parse from numbers and words');
+    passed++;
+  } else {
+    console.log('Test 11 FAIL: Unexpected seed parsing');
+    failed++;
+  }
+
+  // Test 12: Lure labels match the actual letters at each lure distance
+  const lureSeq = generateSequence(3, 60, BLOCK.MATCH_RATE, {
+    random: createRandom(7),
+    lureRates: { 'n-1': 0.2, 'n+1': 0.2, '2n': 0.1 }
+  });
+  const lureOffsets = getLureOffsets(3);
+  let labelsCorrect = true;
+  lureSeq.lures.forEach((type, i) => {
+    if (type === null) return;
+    const offset = lureOffsets[type];
+    if (lureSeq.matchPositions.includes(i) || lureSeq.letters[i] !== lureSeq.letters[i - offset]) {
+      labelsCorrect = false;
+    }
+  });
+  if (labelsCorrect) {
+    console.log('Test 12 PASS: Lure labels are correct');
+    passed++;
+  } else {
+    console.log('Test 12 FAIL: A lure label does not match the sequence');
+    failed++;
+  }
+
+  // Test 13: Deliberate lures are placed at the configured rate
+  const nonMatchCount = lureSeq.totalTrials - 3 - lureSeq.matchPositions.length;
+  const countOf = (type) => lureSeq.lures.filter(t => t === type).length;
+  if (countOf('n-1') >= Math.round(nonMatchCount * 0.2) && countOf('n+1') >= Math.round(nonMatchCount * 0.2)) {
+    console.log(`Test 13 PASS: Placed ${countOf('n-1')} n-1 and ${countOf('n+1')} n+1 lures`);
+    passed++;
+  } else {
+    console.log(`Test 13 FAIL: Too few lures (n-1: ${countOf('n-1')}, n+1: ${countOf('n+1')})`);
+    failed++;
+  }
+
+  // Test 14: Zero lure rates yield no lures and still no accidental matches
+  const noLureSeq = generateSequence(2, 60, BLOCK.MATCH_RATE, {
+    random: createRandom(99),
+    lureRates: { 'n-1': 0, 'n+1': 0, '2n': 0 }
+  });
+  const accidentalMatch = noLureSeq.letters.some((letter, i) =>
+    i >= 2 && !noLureSeq.matchPositions.includes(i) && letter === noLureSeq.letters[i - 2]);
+  if (noLureSeq.lures.every(t => t === null) && !accidentalMatch) {
+    console.log('Test 14 PASS: Zero lure rates produce no lures');
+    passed++;
+  } else {
+    console.log('Test 14 FAIL: Found lures or accidental matches with zero lure rates');
+    failed++;
+  }
+
+  // Test 15: Lure types that make no sense at 1-back are skipped
+  const offsets1 = getLureOffsets(1);
+  if (!('n-1' in offsets1) && !('2n' in offsets1) && offsets1['n+1'] === 2) {
+    console.log('Test 15 PASS: 1-back only uses n+1 lures');
+    passed++;
+  } else {
+    console.log(`Test 15 FAIL: Unexpected 1-back lure offsets ${JSON.stringify(offsets1)}`);
+    failed++;
+  }
+
+  // Test 16: Across many seeds the analyzer finds no unplanned matches and the intended match rate
+  const qualities = Array.from({ length: 50 }, (_, seed) =>
+    analyzeSequence(generateDualSequence(3, 23, BLOCK.MATCH_RATE, { random: createRandom(seed) })));
+  const clean = qualities.every(({ audio, position }) =>
+    audio.unplannedMatches === 0 && position.unplannedMatches === 0
+    && audio.matchRate === BLOCK.MATCH_RATE && position.matchRate === BLOCK.MATCH_RATE);
+  if (clean) {
+    console.log('Test 16 PASS: Analyzer confirms match rate and no unplanned matches');
+    passed++;
+  } else {
+    console.log('Test 16 FAIL: Analyzer found unplanned matches or an off-target match rate');
+    failed++;
+  }
+
+  // Test 17: Balancing narrows the spread of letter counts
+  // (matches and lures copy letters, so the counts cannot be exactly even)
+  const meanSpread = (balance) => Array.from({ length: 50 }, (_, seed) => {
+    const { frequencies } = analyzeSequence(generateSequence(3, 40, BLOCK.MATCH_RATE, { random: createRandom(seed), balance })).audio;
+    return frequencies.max - frequencies.min;
+  }).reduce((sum, spread) => sum + spread, 0) / 50;
+  const balancedSpread = meanSpread(true);
+  const unbalancedSpread = meanSpread(false);
+  if (balancedSpread <= 3 && balancedSpread < unbalancedSpread / 1.5) {
+    console.log(`Test 17 PASS: Mean count spread ${balancedSpread.toFixed(1)} balanced vs ${unbalancedSpread.toFixed(1)} unbalanced`);
+    passed++;
+  } else {
+    console.log(`Test 17 FAIL: Mean count spread ${balancedSpread.toFixed(1)} balanced vs ${unbalancedSpread.toFixed(1)} unbalanced`);
+    failed++;
+  }
+
+  // Test 18: Runs of identical stimuli never exceed the cap, even at 1-back with many matches
+  const runCases = [[1, 2], [1, 3], [2, 2], [3, 2]];
+  const runsCapped = runCases.every(([n, maxRun]) => Array.from({ length: 30 }, (_, seed) => {
+    const dual = generateDualSequence(n, 30, 0.4, { random: createRandom(seed), maxRun });
+    const { audio, position } = analyzeSequence(dual);
+    return audio.longestRun.length <= maxRun && position.longestRun.length <= maxRun;
+  }).every(Boolean));
+  if (runsCapped) {
+    console.log('Test 18 PASS: Longest run stays within maxRun');
+    passed++;
+  } else {
+    console.log('Test 18 FAIL: Found a run longer than maxRun');
+    failed++;
+  }
+
+  // Test 19: Back-to-back repeats only occur where intended (1-back matches, n-1 lures at 2-back)
+  let strayRepeat = null;
+  for (const n of [1, 2, 3, 4]) {
+    for (let seed = 0; seed < 30 && !strayRepeat; seed++) {
+      const repSeq = generateSequence(n, 24, BLOCK.MATCH_RATE, { random: createRandom(seed), lureRates: { 'n-1': 0.2, 'n+1': 0.2, '2n': 0.1 } });
+      const i = repSeq.letters.findIndex((letter, k) => k > 0 && letter === repSeq.letters[k - 1]
+        && !(n === 1 && repSeq.matchPositions.includes(k))
+        && !(n === 2 && repSeq.plannedLures[k] === 'n-1'));
+      if (i !== -1) strayRepeat = `${n}-back seed ${seed} at ${i}`;
+    }
+  }
+  if (!strayRepeat) {
+    console.log('Test 19 PASS: No unintended back-to-back repeats');
+    passed++;
+  } else {
+    console.log(`Test 19 FAIL: Unintended repeat (${strayRepeat})`);
+    failed++;
+  }
+
+  // Test 20: Constraints keep the match count and lure rate on target
+  const constrained = analyzeSequence(generateSequence(2, 42, BLOCK.MATCH_RATE, { random: createRandom(11) }));
+  const unconstrained = analyzeSequence(generateSequence(2, 42, BLOCK.MATCH_RATE, {
+    random: createRandom(11), balance: false, avoidRepeats: false, maxRun: Infinity
+  }));
+  if (constrained.audio.matches === 8 && unconstrained.audio.matches === 8
+    && constrained.audio.lures['n-1'] === unconstrained.audio.lures['n-1']
+    && constrained.audio.accidentalLures === 0) {
+    console.log('Test 20 PASS: Constraints leave matches and lures unchanged');
+    passed++;
+  } else {
+    console.log(`Test 20 FAIL: Got ${JSON.stringify(constrained.audio.lures)} vs ${JSON.stringify(unconstrained.audio.lures)}`);
+    failed++;
+  }
+
+  // Test 21: Sequences draw only from the given stimulus set
+  const digitSeq = generateDualSequence(2, 30, BLOCK.MATCH_RATE, { random: createRandom(4), alphabet: STIMULUS_SETS.digits.items });
+  const smallSeq = generateSequence(2, 30, BLOCK.MATCH_RATE, { random: createRandom(4), alphabet: ['C', 'K', 'T'] });
+  const digitQuality = analyzeSequence(digitSeq).audio;
+  if (digitSeq.letters.every(d => STIMULUS_SETS.digits.items.includes(d))
+    && Object.keys(digitQuality.frequencies.counts).length === 9
+    && smallSeq.letters.every(l => ['C', 'K', 'T'].includes(l))
+    && smallSeq.matchPositions.every(i => smallSeq.letters[i] === smallSeq.letters[i - 2])
+    && digitSeq.positions.every(p => POSITIONS.includes(p))) {
+    console.log('Test 21 PASS: Audio stream uses the active stimulus set');
+    passed++;
+  } else {
+    console.log(`Test 21 FAIL: Got ${digitSeq.letters.join('')} / ${smallSeq.letters.join('')}`);
+    failed++;
+  }
+
+  // Test 22: Spatial sequences carry an independent location stream
+  const spatialSeq = generateSpatialSequence(2, 40, BLOCK.MATCH_RATE, { random: createRandom(9) });
+  const sharedMatches = spatialSeq.locationMatchPositions.filter(i => spatialSeq.matchPositions.includes(i));
+  const spatialQuality = analyzeSequence(spatialSeq);
+  if (spatialSeq.locations.length === 40 && spatialSeq.locations.every(l => LOCATIONS.includes(l))
+    && spatialSeq.locationMatchPositions.length === Math.round(38 * BLOCK.MATCH_RATE)
+    && spatialSeq.locationMatchPositions.every(i => spatialSeq.locations[i] === spatialSeq.locations[i - 2])
+    && sharedMatches.length < spatialSeq.locationMatchPositions.length
+    && spatialQuality.location.matches === spatialSeq.locationMatchPositions.length) {
+    console.log('Test 22 PASS: Spatial location stream has its own match schedule');
+    passed++;
+  } else {
+    console.log(`Test 22 FAIL: Locations ${spatialSeq.locations.join('')}, matches ${spatialSeq.locationMatchPositions.join(',')}`);
+    failed++;
+  }
+
+  // Test 23: Lure rates from settings are completed and clamped
+  const rates = resolveLureRates({ 'n-1': 0.3, 'n+1': 2, '2n': 'x' });
+  const defaults = resolveLureRates();
+  if (rates['n-1'] === 0.3 && rates['n+1'] === BLOCK.MAX_LURE_RATE && rates['2n'] === BLOCK.LURE_RATES['2n']
+    && JSON.stringify(defaults) === JSON.stringify(BLOCK.LURE_RATES)
+    && resolveLureRates({ 'n-1': -1 })['n-1'] === 0) {
+    console.log('Test 23 PASS: Lure rates are resolved from settings');
+    passed++;
+  } else {
+    console.log(`Test 23 FAIL: Got ${JSON.stringify(rates)} / ${JSON.stringify(defaults)}`);
+    failed++;
+  }
+
   console.log(`\nResults: ${passed} passed, ${failed} failed`);
 
   if (failed === 0) {
@@ -0,0 +1,56 @@
+import { SESSION_PLAN } from '../utils/constants.js';
+import { resolveTrialCount } from './trial-count.js';
+
+/**
+ * Training session plans: several blocks played back to back with rests
+ */
+
+/**
+ * Trials per block within a plan: always scaled with N (20 + N by default),
+ * so every block has the same number of scorable trials
+ * @param {number} n
+ * @param {{ trialBase?: number, trialsPerN?: number }} [settings] - Scaled trial count settings
+ * @returns {number}
+ */
+export function getPlanTrialCount(n, { trialBase, trialsPerN } = {}) {
+  return resolveTrialCount(n, { trialCountMode: 'scaled', trialBase, trialsPerN });
+}
+
+/**
+ * Normalize a stored plan setting
+ * @param {{ blocks?: number, rest?: number }} [plan]
+ * @returns {{ blocks: number, rest: number }} - blocks 0 means no plan
+ */
+export function resolvePlan({ blocks = 0, rest = SESSION_PLAN.REST_SECONDS } = {}) {
+  const count = Number(blocks);
+  const seconds = Number(rest);
+  return {
+    blocks: SESSION_PLAN.BLOCK_OPTIONS.includes(count) ? count : 0,
+    rest: Number.isFinite(seconds) ? Math.round(Math.min(Math.max(seconds, 0), SESSION_PLAN.MAX_REST_SECONDS)) : SESSION_PLAN.REST_SECONDS
+  };
+}
+
+/**
+ * Session-level summary of the blocks played in one training session
+ * @param {object[]} blocks - Stored block records, oldest first
+ * @param {number} [startedAt] - When the session started (default: end of the first block)
+ * @returns {{ blocks: number, trials: number, startN: number, endN: number, maxN: number, avgN: number, avgAccuracy: number, duration: number }}
+ */
+export function summarizeTrainingSession(blocks, startedAt = blocks[0]?.timestamp) {
+  if (blocks.length === 0) {
+    return { blocks: 0, trials: 0, startN: null, endN: null, maxN: null, avgN: 0, avgAccuracy: 0, duration: 0 };
+  }
+
+  const first = blocks[0];
+  const last = blocks[blocks.length - 1];
+  return {
+    blocks: blocks.length,
+    trials: blocks.reduce((sum, b) => sum + (b.trialCount || 0), 0),
+    startN: first.n,
+    endN: last.nextLevel ?? last.n,
+    maxN: Math.max(...blocks.map(b => b.n)),
+    avgN: blocks.reduce((sum, b) => sum + b.n, 0) / blocks.length,
+    avgAccuracy: blocks.reduce((sum, b) => sum + b.accuracy, 0) / blocks.length,
+    duration: last.timestamp - startedAt
+  };
+}
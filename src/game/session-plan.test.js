@@ -0,0 +1,65 @@
+import { getPlanTrialCount, resolvePlan, summarizeTrainingSession } from './session-plan.js';
+import { SESSION_PLAN } from '../utils/constants.js';
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  // Test 1: Plan blocks have 20 + N trials
+  if (getPlanTrialCount(2) === 22 && getPlanTrialCount(5) === 25) {
+    console.log('Test 1 PASS: Plan blocks have 20+N trials');
+    passed++;
+  } else {
+    console.log(`Test 1 FAIL: Got ${getPlanTrialCount(2)} and ${getPlanTrialCount(5)}`);
+    failed++;
+  }
+
+  // Test 2: Plan settings are normalized
+  const fromStrings = resolvePlan({ blocks: '10', rest: '15' });
+  const invalid = resolvePlan({ blocks: 7, rest: 9999 });
+  const defaults = resolvePlan();
+  if (fromStrings.blocks === 10 && fromStrings.rest === 15
+    && invalid.blocks === 0 && invalid.rest === SESSION_PLAN.MAX_REST_SECONDS
+    && defaults.blocks === 0 && defaults.rest === SESSION_PLAN.REST_SECONDS) {
+    console.log('Test 2 PASS: Plan settings are normalized');
+    passed++;
+  } else {
+    console.log(`Test 2 FAIL: Got ${JSON.stringify([fromStrings, invalid, defaults])}`);
+    failed++;
+  }
+
+  // Test 3: Summary aggregates blocks, ending at the last block's next level
+  const summary = summarizeTrainingSession([
+    { n: 2, nextLevel: 3, accuracy: 0.9, trialCount: 22, timestamp: 0 },
+    { n: 3, nextLevel: 3, accuracy: 0.8, trialCount: 23, timestamp: 60000 },
+    { n: 3, nextLevel: 4, accuracy: 1, trialCount: 23, timestamp: 120000 }
+  ]);
+  if (summary.blocks === 3 && summary.trials === 68 && summary.startN === 2 && summary.endN === 4
+    && summary.maxN === 3 && Math.abs(summary.avgN - 8 / 3) < 1e-9
+    && Math.abs(summary.avgAccuracy - 0.9) < 1e-9 && summary.duration === 120000) {
+    console.log('Test 3 PASS: Session summary aggregates its blocks');
+    passed++;
+  } else {
+    console.log(`Test 3 FAIL: Unexpected summary ${JSON.stringify(summary)}`);
+    failed++;
+  }
+
+  // Test 4: An empty session summarizes to zero blocks
+  if (summarizeTrainingSession([]).blocks === 0) {
+    console.log('Test 4 PASS: Empty session has an empty summary');
+    passed++;
+  } else {
+    console.log('Test 4 FAIL: Empty session summary has blocks');
+    failed++;
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('All tests passed!');
+  }
+
+  return failed === 0;
+}
+
+runTests();
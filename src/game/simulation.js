@@ -0,0 +1,179 @@
+import { GameEngine } from './game-engine.js';
+import { FakeClock } from './clock.js';
+import { SilentStimuli, ScriptedResponder, scriptResponses } from './headless.js';
+import { resolveTrialCount } from './trial-count.js';
+import { resolveMode } from './modes.js';
+import { createRandom } from '../utils/random.js';
+import { MODES } from '../utils/constants.js';
+
+/**
+ * Simulated players for calibrating difficulty settings. A virtual player is
+ * run through the real engine on a fake clock, so sequence generation,
+ * scoring and level progression are exactly the ones users get.
+ */
+
+const MIN_RT = 150; // Fastest plausible press in ms
+
+// Second stream answered in each two-stream mode: channel, match positions and lures of the sequence
+const SECOND_STREAMS = {
+  [MODES.DUAL]: ['position', 'positionMatchPositions', 'positionLures'],
+  [MODES.SPATIAL]: ['location', 'locationMatchPositions', 'locationLures']
+};
+
+/**
+ * Create a virtual player. It sees the ground truth of every trial and
+ * degrades it with a simple error model:
+ * - recall succeeds with probability min(1, capacity / n), so levels above
+ *   the player's capacity get gradually harder;
+ * - on a lapse (probability `lapseRate`) the trial is ignored entirely;
+ * - without a recalled match the player still presses with probability
+ *   `guessRate`, and lure trials add the failed-recall share as confusions.
+ * @param {object} [traits]
+ * @param {number} [traits.capacity=3] - Level the player handles reliably
+ * @param {number} [traits.lapseRate=0.05] - Chance of missing a trial completely
+ * @param {number} [traits.guessRate=0.05] - Chance of pressing without a recalled match
+ * @param {number} [traits.lureSusceptibility=0.5] - Share of failed recalls on lure trials that press
+ * @param {number} [traits.rtMean=550] - Mean reaction time in ms
+ * @param {number} [traits.rtSd=120] - Reaction time standard deviation in ms
+ * @param {number} [seed=1] - Seed for the player's own randomness
+ * @returns {(trial: object, engine: GameEngine) => { channel: string, rt: number }[]} - Script for scriptResponses()
+ */
+export function createVirtualPlayer({
+  capacity = 3,
+  lapseRate = 0.05,
+  guessRate = 0.05,
+  lureSusceptibility = 0.5,
+  rtMean = 550,
+  rtSd = 120
+} = {}, seed = 1) {
+  const random = createRandom(seed);
+
+  const reactionTime = (responseWindow) => {
+    // Box–Muller normal sample, clamped inside the response window
+    const u = 1 - random();
+    const v = random();
+    const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    return Math.min(Math.max(rtMean + z * rtSd, MIN_RT), responseWindow - 1);
+  };
+
+  return (trial, engine) => {
+    const { sequence, currentN: n, timing } = engine;
+    const recall = Math.min(1, capacity / n);
+    const channels = [['audio', sequence.matchPositions, sequence.lures]];
+    const second = SECOND_STREAMS[engine.mode];
+    if (second) {
+      const [channel, matchKey, luresKey] = second;
+      channels.push([channel, sequence[matchKey], sequence[luresKey]]);
+    }
+
+    const presses = [];
+    for (const [channel, matchPositions, lures] of channels) {
+      if (random() < lapseRate) continue;
+
+      let pressProbability;
+      if (matchPositions.includes(trial.trialIndex)) {
+        pressProbability = recall + (1 - recall) * guessRate;
+      } else if (lures[trial.trialIndex]) {
+        pressProbability = guessRate + (1 - guessRate) * (1 - recall) * lureSusceptibility;
+      } else {
+        pressProbability = guessRate;
+      }
+
+      if (random() < pressProbability) {
+        presses.push({ channel, rt: reactionTime(timing.responseWindow) });
+      }
+    }
+    return presses;
+  };
+}
+
+/**
+ * In-memory stand-in for Storage.getSessions, so multi-block policies see earlier blocks
+ */
+class SimulatedHistory {
+  constructor() {
+    this.sessions = [];
+  }
+
+  async getSessions(limit = 10) {
+    return this.sessions.slice(-limit).reverse();
+  }
+}
+
+/**
+ * Run a virtual player through consecutive blocks with the adaptive level
+ * @param {object} options
+ * @param {object} [options.player] - Traits for createVirtualPlayer()
+ * @param {number} [options.startN=2] - Level of the first block
+ * @param {number} [options.blocks=20] - Blocks to play, at least 1
+ * @param {object} [options.settings] - Same keys as stored settings: dualMode, spatialMode, levelMetric,
+ *   progressionPolicy, isi, responseWindow, isiJitter, lureRates, trialCountMode, trialCount, trialBase, trialsPerN
+ * @param {number} [options.seed=1] - Seed for block sequences and the player
+ * @returns {Promise<object>} - Per-block results, level trajectory and averages
+ * @throws {Error} If blocks is not a positive integer
+ */
+export async function simulateTraining({ player = {}, startN = 2, blocks = 20, settings = {}, seed = 1 } = {}) {
+  if (!Number.isInteger(blocks) || blocks < 1) {
+    throw new Error(`Cannot simulate ${blocks} blocks`);
+  }
+  const clock = new FakeClock();
+  const responder = new ScriptedResponder(clock);
+  const engine = new GameEngine(new SilentStimuli(clock), responder, { clock });
+  const history = new SimulatedHistory();
+  const random = createRandom(seed);
+
+  engine.setFeedbackSoundsEnabled(false);
+  engine.setMode(resolveMode(settings));
+  engine.setLevelMetric(settings.levelMetric);
+  engine.setProgressionPolicy(settings.progressionPolicy);
+  engine.setTiming(settings);
+  engine.setHistorySource(history);
+  if (settings.lureRates) {
+    engine.setLureRates(settings.lureRates);
+  }
+  scriptResponses(engine, responder, clock, createVirtualPlayer(player, seed ^ 0x5bd1e995));
+
+  let n = startN;
+  let subLevel = 0;
+  const results = [];
+  for (let i = 0; i < blocks; i++) {
+    engine.setSubLevel(subLevel);
+    const trialCount = resolveTrialCount(n, settings);
+    const blockSeed = Math.floor(random() * 4294967296);
+    const result = await engine.startBlock(n, trialCount, blockSeed);
+
+    const block = {
+      n,
+      subLevel,
+      trialCount,
+      accuracy: result.results.accuracy,
+      dPrime: result.results.dPrime,
+      nextLevel: result.nextLevel,
+      nextSubLevel: result.nextSubLevel
+    };
+    results.push(block);
+    history.sessions.push({ ...result.results, n, mode: engine.mode, nextLevel: result.nextLevel, timestamp: clock.now() });
+
+    n = result.nextLevel;
+    subLevel = result.nextSubLevel;
+  }
+
+  return summarizeSimulation(results);
+}
+
+/**
+ * @param {object[]} blocks - Per-block simulation results
+ * @returns {{ blocks: object[], trajectory: number[], meanAccuracy: number, meanDPrime: number, finalN: number, maxN: number }}
+ */
+function summarizeSimulation(blocks) {
+  const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+  const last = blocks[blocks.length - 1];
+  return {
+    blocks,
+    trajectory: blocks.map(b => b.n + b.subLevel),
+    meanAccuracy: mean(blocks.map(b => b.accuracy)),
+    meanDPrime: mean(blocks.map(b => b.dPrime)),
+    finalN: last.nextLevel,
+    maxN: Math.max(...blocks.map(b => b.n))
+  };
+}
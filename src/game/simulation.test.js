@@ -0,0 +1,121 @@
+import { simulateTraining, createVirtualPlayer } from './simulation.js';
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  // Test 1: A flawless player scores perfectly and climbs one level per block
+  const flawless = await simulateTraining({
+    player: { capacity: 9, lapseRate: 0, guessRate: 0 },
+    startN: 2,
+    blocks: 4
+  });
+  if (flawless.meanAccuracy === 1 && flawless.trajectory.join(',') === '2,3,4,5' && flawless.finalN === 6) {
+    console.log('Test 1 PASS: Flawless player climbs one level per block');
+    passed++;
+  } else {
+    console.log(`Test 1 FAIL: accuracy ${flawless.meanAccuracy}, trajectory ${flawless.trajectory.join(',')}`);
+    failed++;
+  }
+
+  // Test 2: Same seed, same simulation
+  const a = await simulateTraining({ player: { capacity: 3 }, blocks: 5, seed: 42 });
+  const b = await simulateTraining({ player: { capacity: 3 }, blocks: 5, seed: 42 });
+  if (JSON.stringify(a) === JSON.stringify(b)) {
+    console.log('Test 2 PASS: Simulations are reproducible from the seed');
+    passed++;
+  } else {
+    console.log('Test 2 FAIL: Same seed gave different simulations');
+    failed++;
+  }
+
+  // Test 3: Higher memory capacity reaches higher levels
+  const weak = await simulateTraining({ player: { capacity: 1, lapseRate: 0.2 }, blocks: 8, seed: 7 });
+  const strong = await simulateTraining({ player: { capacity: 6 }, blocks: 8, seed: 7 });
+  const meanLevel = (r) => r.trajectory.reduce((sum, n) => sum + n, 0) / r.trajectory.length;
+  if (meanLevel(strong) > meanLevel(weak) && strong.meanDPrime > weak.meanDPrime) {
+    console.log('Test 3 PASS: Stronger player trains at higher levels with higher d′');
+    passed++;
+  } else {
+    console.log(`Test 3 FAIL: Mean levels ${meanLevel(weak)} vs ${meanLevel(strong)}`);
+    failed++;
+  }
+
+  // Test 4: Guessing bias shows up as false alarms; RTs stay inside the response window
+  const script = createVirtualPlayer({ capacity: 2, lapseRate: 0, guessRate: 1, rtMean: 5000 }, 9);
+  const engine = {
+    sequence: { matchPositions: [], lures: [null] },
+    currentN: 2,
+    timing: { responseWindow: 2500 },
+    mode: 'single'
+  };
+  const presses = script({ trialIndex: 0 }, engine);
+  if (presses.length === 1 && presses[0].rt < 2500) {
+    console.log('Test 4 PASS: Guessing player presses within the response window');
+    passed++;
+  } else {
+    console.log(`Test 4 FAIL: Got presses ${JSON.stringify(presses)}`);
+    failed++;
+  }
+
+  // Test 5: In spatial mode the player answers the location stream, scored on its own
+  const spatial = await simulateTraining({
+    player: { capacity: 9, lapseRate: 0, guessRate: 0 }, blocks: 2, settings: { spatialMode: true }, seed: 3
+  });
+  const spatialScript = createVirtualPlayer({ capacity: 9, lapseRate: 0, guessRate: 0 }, 3);
+  const spatialPresses = spatialScript({ trialIndex: 4 }, {
+    sequence: { matchPositions: [], lures: [], locationMatchPositions: [4], locationLures: [] },
+    currentN: 2,
+    timing: { responseWindow: 2500 },
+    mode: 'spatial'
+  });
+  if (spatial.meanAccuracy === 1 && spatialPresses.length === 1 && spatialPresses[0].channel === 'location') {
+    console.log('Test 5 PASS: Spatial simulation answers location matches');
+    passed++;
+  } else {
+    console.log(`Test 5 FAIL: accuracy ${spatial.meanAccuracy}, presses ${JSON.stringify(spatialPresses)}`);
+    failed++;
+  }
+
+  // Test 6: Multi-block policies see the simulated history
+  const struggling = { capacity: 1, lapseRate: 0.9, guessRate: 0.5 };
+  const workshop = await simulateTraining({
+    player: struggling, startN: 4, blocks: 3, settings: { progressionPolicy: 'brainWorkshop' }, seed: 5
+  });
+  const single = await simulateTraining({
+    player: struggling, startN: 4, blocks: 3, settings: { progressionPolicy: 'threshold' }, seed: 5
+  });
+  const levels = workshop.blocks.map(block => block.nextLevel).join(',');
+  if (workshop.blocks.every(block => block.accuracy < 0.5) && levels === '4,4,3' && single.finalN < 3) {
+    console.log('Test 6 PASS: Brain Workshop drops only after three weak simulated blocks');
+    passed++;
+  } else {
+    console.log(`Test 6 FAIL: Next levels ${levels}, single-block policy ended at ${single.finalN}`);
+    failed++;
+  }
+
+  // Test 7: Zero blocks are rejected instead of summarizing nothing
+  let rejected = false;
+  try {
+    await simulateTraining({ blocks: 0 });
+  } catch (err) {
+    rejected = err.message.length > 0;
+  }
+  if (rejected) {
+    console.log('Test 7 PASS: Zero-block simulation is rejected');
+    passed++;
+  } else {
+    console.log('Test 7 FAIL: Zero-block simulation was accepted');
+    failed++;
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('All tests passed!');
+  }
+
+  return failed === 0;
+}
+
+runTests();
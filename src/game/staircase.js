@@ -0,0 +1,65 @@
+import { ADAPTIVE, BLOCK, LEVEL_METRICS, PROGRESSION_POLICIES } from '../utils/constants.js';
+import { resolveTiming } from './timing.js';
+
+const { STEP, MIN_ISI_SCALE, MAX_LURE_SCALE, MIN_MATCH_RATE } = PROGRESSION_POLICIES.staircase;
+const TOP = 1 - STEP; // Hardest sub-level within one N
+
+/**
+ * Block parameters at a sub-level between two integer N levels.
+ * Sub-level 0 plays the base settings; each step shortens the ISI,
+ * adds lures and makes matches rarer, up to the limits at the top step.
+ * Scaled lure rates stay within BLOCK.MAX_LURE_RATE.
+ * @param {number} subLevel - In [0, 1 - STEP]
+ * @param {object} base
+ * @param {{ isi: number, responseWindow: number, isiJitter: number }} base.timing - Timing at sub-level 0
+ * @param {Object<string, number>} [base.lureRates=BLOCK.LURE_RATES] - Lure rates at sub-level 0
+ * @returns {{ timing: object, lureRates: Object<string, number>, matchRate: number }}
+ */
+export function getDifficulty(subLevel, { timing, lureRates = BLOCK.LURE_RATES }) {
+  const t = Math.min(Math.max(subLevel / TOP, 0), 1);
+  const isiScale = 1 + (MIN_ISI_SCALE - 1) * t;
+  const lureScale = 1 + (MAX_LURE_SCALE - 1) * t;
+
+  const scaledLures = {};
+  for (const [type, rate] of Object.entries(lureRates)) {
+    scaledLures[type] = Math.min(rate * lureScale, BLOCK.MAX_LURE_RATE);
+  }
+
+  return {
+    timing: resolveTiming({
+      isi: Math.round(timing.isi * isiScale),
+      responseWindow: timing.responseWindow,
+      isiJitter: Math.round(timing.isiJitter * isiScale)
+    }),
+    lureRates: scaledLures,
+    matchRate: BLOCK.MATCH_RATE + (MIN_MATCH_RATE - BLOCK.MATCH_RATE) * t
+  };
+}
+
+/**
+ * One up/down staircase step. The sub-level moves by STEP on a pass or a fail;
+ * N changes only when the sub-level runs past the top or bottom of the level.
+ * @param {number} n - Current N
+ * @param {number} subLevel - Current sub-level
+ * @param {number} score - Block score on the level metric
+ * @param {'accuracy' | 'dPrime' | 'aPrime'} [metric='accuracy']
+ * @returns {{ n: number, subLevel: number }}
+ */
+export function stepStaircase(n, subLevel, score, metric = 'accuracy') {
+  const { INCREASE_THRESHOLD, DECREASE_THRESHOLD } = LEVEL_METRICS[metric] || LEVEL_METRICS.accuracy;
+  let next = subLevel;
+  if (score >= INCREASE_THRESHOLD) {
+    next += STEP;
+  } else if (score < DECREASE_THRESHOLD) {
+    next -= STEP;
+  }
+  next = Math.round(next / STEP) * STEP; // Keep exact steps
+
+  if (next > TOP) {
+    return n < ADAPTIVE.MAX_N ? { n: n + 1, subLevel: 0 } : { n, subLevel: TOP };
+  }
+  if (next < 0) {
+    return n > ADAPTIVE.MIN_N ? { n: n - 1, subLevel: TOP } : { n, subLevel: 0 };
+  }
+  return { n, subLevel: next };
+}
@@ -0,0 +1,116 @@
+import { getDifficulty, stepStaircase } from './staircase.js';
+import { BLOCK, PROGRESSION_POLICIES } from '../utils/constants.js';
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  const { STEP, MIN_ISI_SCALE, MAX_LURE_SCALE, MIN_MATCH_RATE } = PROGRESSION_POLICIES.staircase;
+  const timing = { isi: 3000, responseWindow: 2500, isiJitter: 200 };
+
+  // Test 1: Sub-level 0 plays the base settings
+  const easiest = getDifficulty(0, { timing });
+  if (easiest.timing.isi === 3000 && easiest.matchRate === BLOCK.MATCH_RATE
+    && easiest.lureRates['n-1'] === BLOCK.LURE_RATES['n-1']) {
+    console.log('Test 1 PASS: Sub-level 0 uses base difficulty');
+    passed++;
+  } else {
+    console.log(`Test 1 FAIL: Unexpected base difficulty ${JSON.stringify(easiest)}`);
+    failed++;
+  }
+
+  // Test 2: The top sub-level reaches the configured limits, and the window still fits the ISI
+  const hardest = getDifficulty(1 - STEP, { timing });
+  if (hardest.timing.isi === Math.round(3000 * MIN_ISI_SCALE)
+    && Math.abs(hardest.matchRate - MIN_MATCH_RATE) < 1e-9
+    && Math.abs(hardest.lureRates['n+1'] - BLOCK.LURE_RATES['n+1'] * MAX_LURE_SCALE) < 1e-9
+    && hardest.timing.responseWindow <= hardest.timing.isi - hardest.timing.isiJitter) {
+    console.log('Test 2 PASS: Top sub-level reaches the difficulty limits');
+    passed++;
+  } else {
+    console.log(`Test 2 FAIL: Unexpected top difficulty ${JSON.stringify(hardest)}`);
+    failed++;
+  }
+
+  // Test 3: Difficulty increases monotonically with sub-level
+  let monotonic = true;
+  for (let s = STEP; s <= 1 - STEP; s += STEP) {
+    const lower = getDifficulty(s - STEP, { timing });
+    const upper = getDifficulty(s, { timing });
+    if (upper.timing.isi > lower.timing.isi || upper.matchRate > lower.matchRate
+      || upper.lureRates['n-1'] < lower.lureRates['n-1']) {
+      monotonic = false;
+    }
+  }
+  if (monotonic) {
+    console.log('Test 3 PASS: Difficulty is monotonic in sub-level');
+    passed++;
+  } else {
+    console.log('Test 3 FAIL: Difficulty is not monotonic');
+    failed++;
+  }
+
+  // Test 4: Passing and failing blocks move the sub-level by one step within N
+  const up = stepStaircase(3, 0.25, 0.9);
+  const stay = stepStaircase(3, 0.25, 0.75);
+  const down = stepStaircase(3, 0.25, 0.5);
+  if (up.n === 3 && up.subLevel === 0.5 && stay.subLevel === 0.25 && down.n === 3 && down.subLevel === 0) {
+    console.log('Test 4 PASS: Staircase steps within a level');
+    passed++;
+  } else {
+    console.log(`Test 4 FAIL: Got ${JSON.stringify([up, stay, down])}`);
+    failed++;
+  }
+
+  // Test 5: N changes only when the sub-level saturates
+  const promote = stepStaircase(3, 1 - STEP, 0.9);
+  const demote = stepStaircase(3, 0, 0.5);
+  if (promote.n === 4 && promote.subLevel === 0 && demote.n === 2 && demote.subLevel === 1 - STEP) {
+    console.log('Test 5 PASS: N changes when the sub-level saturates');
+    passed++;
+  } else {
+    console.log(`Test 5 FAIL: Got ${JSON.stringify([promote, demote])}`);
+    failed++;
+  }
+
+  // Test 6: Bounds hold at MIN_N and MAX_N
+  const floor = stepStaircase(1, 0, 0);
+  const ceiling = stepStaircase(9, 1 - STEP, 1);
+  if (floor.n === 1 && floor.subLevel === 0 && ceiling.n === 9 && ceiling.subLevel === 1 - STEP) {
+    console.log('Test 6 PASS: Staircase stays within level bounds');
+    passed++;
+  } else {
+    console.log(`Test 6 FAIL: Got ${JSON.stringify([floor, ceiling])}`);
+    failed++;
+  }
+
+  // Test 7: Other level metrics use their own thresholds
+  const dPrime = stepStaircase(3, 0, 2.6, 'dPrime');
+  if (dPrime.subLevel === STEP) {
+    console.log('Test 7 PASS: Staircase respects the level metric');
+    passed++;
+  } else {
+    console.log(`Test 7 FAIL: Got ${JSON.stringify(dPrime)}`);
+    failed++;
+  }
+
+  // Test 8: Lure rates already at the maximum stay there at the top sub-level
+  const maxed = getDifficulty(1 - STEP, { timing, lureRates: { 'n-1': BLOCK.MAX_LURE_RATE, 'n+1': 0.3, '2n': BLOCK.MAX_LURE_RATE } });
+  if (Object.values(maxed.lureRates).every(rate => rate === BLOCK.MAX_LURE_RATE)) {
+    console.log('Test 8 PASS: Scaled lure rates are clamped to the maximum');
+    passed++;
+  } else {
+    console.log(`Test 8 FAIL: Got ${JSON.stringify(maxed.lureRates)}`);
+    failed++;
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('All tests passed!');
+  }
+
+  return failed === 0;
+}
+
+runTests();
@@ -0,0 +1,54 @@
+import { LETTERS, STIMULUS_SETS } from '../utils/constants.js';
+
+/**
+ * Stimulus sets: the alphabet a block's audio stream draws from, and the
+ * audio files that voice it
+ */
+
+/**
+ * Resolve a stimulus set id into its items and audio manifest. Unknown ids
+ * fall back to letters; a custom set keeps only bundled letters and needs
+ * at least STIMULUS_SETS.custom.minItems of them. Sets without bundled
+ * recordings are voiced by speech synthesis, so when recordings are required
+ * (speech can't be panned in spatial mode) they fall back to letters too.
+ * @param {string} id - Key of STIMULUS_SETS
+ * @param {object} [options]
+ * @param {string[]} [options.customLetters] - Letters picked for the custom set
+ * @param {boolean} [options.requireRecordings=false] - Only accept sets with bundled audio
+ * @returns {{ id: string, label: string, items: string[], bundled: boolean, manifest: { item: string, name: string, path: string }[] }}
+ */
+export function resolveStimulusSet(id, { customLetters = LETTERS, requireRecordings = false } = {}) {
+  let setId = STIMULUS_SETS[id] && (STIMULUS_SETS[id].bundled || !requireRecordings) ? id : 'letters';
+  let items = STIMULUS_SETS[setId].items;
+
+  if (setId === 'custom') {
+    items = LETTERS.filter(letter => customLetters.includes(letter));
+    if (items.length < STIMULUS_SETS.custom.minItems) {
+      setId = 'letters';
+      items = LETTERS;
+    }
+  }
+
+  const { label, prefix, folder, bundled } = STIMULUS_SETS[setId];
+  return {
+    id: setId,
+    label,
+    items,
+    bundled,
+    manifest: items.map(item => ({
+      item,
+      name: stimulusSoundName(prefix, item),
+      path: `audio/${folder}/${item.toLowerCase()}.mp3`
+    }))
+  };
+}
+
+/**
+ * Audio buffer name for one stimulus, e.g. 'letter-c' or 'digit-7'
+ * @param {string} prefix - Sound name prefix of the set
+ * @param {string} item
+ * @returns {string}
+ */
+function stimulusSoundName(prefix, item) {
+  return `${prefix}-${item.toLowerCase()}`;
+}
@@ -0,0 +1,73 @@
+import { resolveStimulusSet } from './stimulus-sets.js';
+import { LETTERS } from '../utils/constants.js';
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  // Test 1: Letters keep the bundled file paths and buffer names
+  const letters = resolveStimulusSet('letters');
+  const c = letters.manifest[0];
+  if (letters.items === LETTERS && c.name === 'letter-c' && c.path === 'audio/letters/c.mp3') {
+    console.log('Test 1 PASS: Letter manifest matches the bundled audio');
+    passed++;
+  } else {
+    console.log(`Test 1 FAIL: Got ${JSON.stringify(c)}`);
+    failed++;
+  }
+
+  // Test 2: Other sets get their own folder and buffer names
+  const digits = resolveStimulusSet('digits');
+  const words = resolveStimulusSet('words');
+  if (digits.items.length === 9 && digits.manifest[6].name === 'digit-7' && digits.manifest[6].path === 'audio/digits/7.mp3'
+    && words.manifest[0].path === 'audio/words/ball.mp3') {
+    console.log('Test 2 PASS: Digits and words have their own manifests');
+    passed++;
+  } else {
+    console.log(`Test 2 FAIL: Got ${JSON.stringify(digits.manifest[6])} / ${JSON.stringify(words.manifest[0])}`);
+    failed++;
+  }
+
+  // Test 3: A custom set keeps bundled letters in order and reuses their audio
+  const custom = resolveStimulusSet('custom', { customLetters: ['T', 'C', 'X', 'K'] });
+  if (custom.id === 'custom' && custom.items.join('') === 'CKT' && custom.manifest[2].name === 'letter-t') {
+    console.log('Test 3 PASS: Custom set filters to bundled letters');
+    passed++;
+  } else {
+    console.log(`Test 3 FAIL: Got ${custom.id} ${custom.items.join('')}`);
+    failed++;
+  }
+
+  // Test 4: Too few custom letters or an unknown id fall back to letters
+  const tooFew = resolveStimulusSet('custom', { customLetters: ['C', 'H'] });
+  const unknown = resolveStimulusSet('emoji');
+  if (tooFew.id === 'letters' && tooFew.items === LETTERS && unknown.id === 'letters') {
+    console.log('Test 4 PASS: Invalid sets fall back to letters');
+    passed++;
+  } else {
+    console.log(`Test 4 FAIL: Got ${tooFew.id} / ${unknown.id}`);
+    failed++;
+  }
+
+  // Test 5: Sets without recordings are flagged for speech, and fall back to letters when recordings are required
+  const spoken = resolveStimulusSet('syllables');
+  const recorded = resolveStimulusSet('syllables', { requireRecordings: true });
+  if (spoken.id === 'syllables' && spoken.bundled === false && letters.bundled === true
+    && recorded.id === 'letters' && recorded.bundled === true) {
+    console.log('Test 5 PASS: Unrecorded sets are spoken unless recordings are required');
+    passed++;
+  } else {
+    console.log(`Test 5 FAIL: Got ${spoken.id}/${spoken.bundled} and ${recorded.id}/${recorded.bundled}`);
+    failed++;
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('All tests passed!');
+  }
+
+  return failed === 0;
+}
+
+runTests();
@@ -0,0 +1,59 @@
+import { TIMING } from '../utils/constants.js';
+
+/**
+ * Normalize per-session timing settings. The response window is capped so
+ * it always closes before the earliest possible next onset.
+ * @param {object} [settings]
+ * @param {number} [settings.isi] - Inter-stimulus interval in ms
+ * @param {number} [settings.responseWindow] - Response window in ms
+ * @param {number} [settings.isiJitter] - Random +/- variation of the ISI in ms
+ * @returns {{ isi: number, responseWindow: number, isiJitter: number }}
+ */
+export function resolveTiming({ isi, responseWindow, isiJitter } = {}) {
+  const clamp = (value, min, max, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.max(min, Math.min(max, Math.round(number))) : fallback;
+  };
+
+  const resolvedIsi = clamp(isi, TIMING.MIN_ISI, TIMING.MAX_ISI, TIMING.ISI);
+  const resolvedJitter = clamp(isiJitter, 0, Math.floor(resolvedIsi / 2), TIMING.ISI_JITTER);
+  const maxWindow = resolvedIsi - resolvedJitter;
+  const resolvedWindow = clamp(responseWindow, TIMING.MIN_RESPONSE_WINDOW, maxWindow,
+    Math.min(TIMING.RESPONSE_WINDOW, maxWindow));
+
+  return {
+    isi: resolvedIsi,
+    responseWindow: resolvedWindow,
+    isiJitter: resolvedJitter
+  };
+}
+
+/**
+ * Onset of each trial relative to the first, with the ISI before each
+ * trial varied uniformly within +/- isiJitter
+ * @param {number} trialCount
+ * @param {{ isi: number, isiJitter: number }} timing
+ * @param {() => number} random - PRNG returning [0, 1) (default Math.random)
+ * @returns {number[]} - Onsets in ms
+ */
+export function generateOnsets(trialCount, { isi, isiJitter }, random = Math.random) {
+  const onsets = [];
+  let onset = 0;
+  for (let i = 0; i < trialCount; i++) {
+    if (i > 0) {
+      onset += isi + (isiJitter > 0 ? Math.round((random() * 2 - 1) * isiJitter) : 0);
+    }
+    onsets.push(onset);
+  }
+  return onsets;
+}
+
+/**
+ * Expected length of a block in ms (jitter averages out)
+ * @param {number} trialCount
+ * @param {{ isi: number }} timing
+ * @returns {number}
+ */
+export function estimateBlockDuration(trialCount, { isi }) {
+  return trialCount * isi;
+}
@@ -0,0 +1,85 @@
+import { resolveTiming, generateOnsets, estimateBlockDuration } from './timing.js';
+import { TIMING } from '../utils/constants.js';
+import { createRandom } from '../utils/random.js';
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  // Test 1: Missing settings fall back to the defaults
+  const defaults = resolveTiming({});
+  if (defaults.isi === TIMING.ISI && defaults.responseWindow === TIMING.RESPONSE_WINDOW
+    && defaults.isiJitter === TIMING.ISI_JITTER) {
+    console.log('Test 1 PASS: Defaults are used when settings are missing');
+    passed++;
+  } else {
+    console.log(`Test 1 FAIL: Unexpected defaults ${JSON.stringify(defaults)}`);
+    failed++;
+  }
+
+  // Test 2: Response window closes before the earliest next onset
+  const capped = resolveTiming({ isi: 2000, responseWindow: 1900, isiJitter: 400 });
+  if (capped.responseWindow === 1600) {
+    console.log('Test 2 PASS: Response window is capped at ISI - jitter');
+    passed++;
+  } else {
+    console.log(`Test 2 FAIL: Expected response window 1600, got ${capped.responseWindow}`);
+    failed++;
+  }
+
+  // Test 3: Values are clamped to the allowed range
+  const clamped = resolveTiming({ isi: 50, responseWindow: 10, isiJitter: 9999 });
+  if (clamped.isi === TIMING.MIN_ISI && clamped.isiJitter === TIMING.MIN_ISI / 2
+    && clamped.responseWindow === TIMING.MIN_RESPONSE_WINDOW) {
+    console.log('Test 3 PASS: Out-of-range values are clamped');
+    passed++;
+  } else {
+    console.log(`Test 3 FAIL: Unexpected clamped timing ${JSON.stringify(clamped)}`);
+    failed++;
+  }
+
+  // Test 4: Without jitter, onsets are exactly one ISI apart
+  const steady = generateOnsets(5, { isi: 2500, isiJitter: 0 });
+  if (JSON.stringify(steady) === JSON.stringify([0, 2500, 5000, 7500, 10000])) {
+    console.log('Test 4 PASS: Onsets are evenly spaced without jitter');
+    passed++;
+  } else {
+    console.log(`Test 4 FAIL: Unexpected onsets ${JSON.stringify(steady)}`);
+    failed++;
+  }
+
+  // Test 5: Jittered intervals stay within range and are reproducible
+  const jittered = generateOnsets(50, { isi: 3000, isiJitter: 500 }, createRandom(3));
+  const again = generateOnsets(50, { isi: 3000, isiJitter: 500 }, createRandom(3));
+  const inRange = jittered.slice(1).every((onset, i) => {
+    const interval = onset - jittered[i];
+    return interval >= 2500 && interval <= 3500;
+  });
+  const varied = new Set(jittered.slice(1).map((onset, i) => onset - jittered[i])).size > 1;
+  if (inRange && varied && JSON.stringify(jittered) === JSON.stringify(again)) {
+    console.log('Test 5 PASS: Jittered intervals stay within range');
+    passed++;
+  } else {
+    console.log('Test 5 FAIL: Jittered intervals out of range, constant or not reproducible');
+    failed++;
+  }
+
+  // Test 6: Duration estimate follows the ISI
+  if (estimateBlockDuration(20, { isi: 2000 }) === 40000) {
+    console.log('Test 6 PASS: Duration estimate follows the ISI');
+    passed++;
+  } else {
+    console.log('Test 6 FAIL: Duration estimate does not follow the ISI');
+    failed++;
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('All tests passed!');
+  }
+
+  return failed === 0;
+}
+
+runTests();
@@ -0,0 +1,49 @@
+import { BLOCK } from '../utils/constants.js';
+
+/**
+ * Block length: a fixed trial count, or base + k·N so that every level
+ * gets the same number of scorable trials after the first N.
+ */
+
+/**
+ * Trials for a block at level n
+ * @param {number} n - N-back level
+ * @param {object} [settings]
+ * @param {'fixed' | 'scaled'} [settings.trialCountMode='fixed']
+ * @param {number} [settings.trialCount] - Trials in fixed mode
+ * @param {number} [settings.trialBase] - Base trials in scaled mode
+ * @param {number} [settings.trialsPerN] - Extra trials per level in scaled mode
+ * @returns {number}
+ */
+export function resolveTrialCount(n, {
+  trialCountMode = 'fixed',
+  trialCount = BLOCK.BASE_TRIALS,
+  trialBase = BLOCK.BASE_TRIALS,
+  trialsPerN = BLOCK.TRIALS_PER_N
+} = {}) {
+  const count = trialCountMode === 'scaled'
+    ? Number(trialBase) + Number(trialsPerN) * n
+    : Number(trialCount);
+  return clampTrialCount(count);
+}
+
+/**
+ * Clamp a trial count to the supported range, falling back to the base on bad input
+ * @param {number} count
+ * @returns {number}
+ */
+export function clampTrialCount(count) {
+  if (!Number.isFinite(count)) return BLOCK.BASE_TRIALS;
+  return Math.min(Math.max(Math.round(count), BLOCK.MIN_TRIALS), BLOCK.MAX_TRIALS);
+}
+
+/**
+ * Short formula label, e.g. "20 + N" or "15 + 2N"
+ * @param {{ trialBase?: number, trialsPerN?: number }} [settings]
+ * @returns {string}
+ */
+export function describeTrialFormula({ trialBase = BLOCK.BASE_TRIALS, trialsPerN = BLOCK.TRIALS_PER_N } = {}) {
+  const perN = Number(trialsPerN);
+  if (perN === 0) return String(trialBase);
+  return `${trialBase} + ${perN === 1 ? '' : perN}N`;
+}
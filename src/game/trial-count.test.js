@@ -0,0 +1,66 @@
+import { resolveTrialCount, clampTrialCount, describeTrialFormula } from './trial-count.js';
+import { BLOCK } from '../utils/constants.js';
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  // Test 1: Fixed mode ignores N
+  if (resolveTrialCount(2, { trialCount: 30 }) === 30 && resolveTrialCount(7, { trialCount: 30 }) === 30) {
+    console.log('Test 1 PASS: Fixed mode uses the trial count');
+    passed++;
+  } else {
+    console.log('Test 1 FAIL: Fixed mode depends on N');
+    failed++;
+  }
+
+  // Test 2: Scaled mode defaults to 20 + N
+  const scaled = [1, 3, 9].map(n => resolveTrialCount(n, { trialCountMode: 'scaled', trialCount: 50 }));
+  if (scaled.join(',') === '21,23,29') {
+    console.log('Test 2 PASS: Scaled mode defaults to 20 + N');
+    passed++;
+  } else {
+    console.log(`Test 2 FAIL: Expected 21,23,29, got ${scaled.join(',')}`);
+    failed++;
+  }
+
+  // Test 3: Custom base and multiple of N
+  const custom = resolveTrialCount(4, { trialCountMode: 'scaled', trialBase: 15, trialsPerN: 5 });
+  if (custom === 35) {
+    console.log('Test 3 PASS: Custom formula base + k·N');
+    passed++;
+  } else {
+    console.log(`Test 3 FAIL: Expected 35, got ${custom}`);
+    failed++;
+  }
+
+  // Test 4: Counts are clamped and bad input falls back to the base
+  if (clampTrialCount(1) === BLOCK.MIN_TRIALS && clampTrialCount(5000) === BLOCK.MAX_TRIALS
+    && clampTrialCount(NaN) === BLOCK.BASE_TRIALS && resolveTrialCount(2, { trialCount: 'x' }) === BLOCK.BASE_TRIALS) {
+    console.log('Test 4 PASS: Trial counts are clamped');
+    passed++;
+  } else {
+    console.log('Test 4 FAIL: Trial counts not clamped');
+    failed++;
+  }
+
+  // Test 5: Formula labels
+  const labels = [describeTrialFormula(), describeTrialFormula({ trialBase: 15, trialsPerN: 2 }), describeTrialFormula({ trialBase: 30, trialsPerN: 0 })];
+  if (labels.join('|') === '20 + N|15 + 2N|30') {
+    console.log('Test 5 PASS: Formula labels');
+    passed++;
+  } else {
+    console.log(`Test 5 FAIL: Got ${labels.join('|')}`);
+    failed++;
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('All tests passed!');
+  }
+
+  return failed === 0;
+}
+
+runTests();
@@ -1,10 +1,38 @@
+/**
+ * Keyboard codes bound to a specific response channel (dual and spatial n-back).
+ * Any other bound key responds on the default 'audio' channel.
+ */
+const CHANNEL_KEYS = {
+  KeyA: 'position',
+  KeyS: 'location',
+  KeyL: 'audio'
+};
+
+/**
+ * Gamepad button indexes bound to a specific response channel, so a
+ * two-button clicker can answer both streams of spatial n-back eyes-closed.
+ * Any other button responds on the default 'audio' channel.
+ */
+const GAMEPAD_CHANNELS = {
+  1: 'location'
+};
+
+/**
+ * Whether an element takes typed text
+ * @param {EventTarget | null} target
+ * @returns {boolean}
+ */
+function isEditable(target) {
+  return Boolean(target && target.closest && (target.closest('input, textarea') || target.isContentEditable));
+}
+
 /**
  * InputManager provides unified input handling for touch, click, keyboard, and gamepad
  */
 export class InputManager extends EventTarget {
   constructor() {
     super();
-    this.lastInputTime = 0;
+    this.lastInputTime = {}; // Per-channel, so both channels can respond in one trial
     this.debounceMs = 200; // Prevent double-triggers
     this.gamepadPollingId = null;
     this.enabled = false; // Only enabled during active gameplay
@@ -20,11 +48,16 @@ export class InputManager extends EventTarget {
     // Mouse click
     document.addEventListener('click', (e) => this.handleInput(e));
 
-    // Keyboard input (Space, Enter, PageDown, ArrowRight)
+    // Keyboard input (Space, Enter, PageDown, ArrowRight, plus A/S/L channel keys).
+    // Outside gameplay and in text fields keys keep their normal behaviour.
     document.addEventListener('keydown', (e) => {
+      if (!this.enabled || isEditable(e.target)) return;
       if (['Space', 'Enter', 'PageDown', 'ArrowRight'].includes(e.code)) {
         e.preventDefault();
         this.handleInput(e);
+      } else if (CHANNEL_KEYS[e.code]) {
+        e.preventDefault();
+        this.handleInput(e, CHANNEL_KEYS[e.code]);
       }
     });
 
@@ -35,8 +68,9 @@ export class InputManager extends EventTarget {
   /**
    * Handle an input event with debouncing
    * @param {Event} event - The input event
+   * @param {string} [channel] - Response channel; taps use the nearest [data-channel] element
    */
-  handleInput(event) {
+  handleInput(event, channel) {
     if (!this.enabled) return;
 
     // Don't intercept events targeting interactive elements (buttons, inputs, etc.)
@@ -47,11 +81,17 @@ export class InputManager extends EventTarget {
       return;
     }
 
-    const now = Date.now();
-    if (now - this.lastInputTime < this.debounceMs) {
+    if (!channel) {
+      const zone = target ? target.closest('[data-channel]') : null;
+      channel = zone ? zone.dataset.channel : 'audio';
+    }
+
+    // High-resolution epoch timestamp, comparable with AudioManager.contextTimeToTimestamp()
+    const now = performance.timeOrigin + performance.now();
+    if (now - (this.lastInputTime[channel] || 0) < this.debounceMs) {
       return; // Debounce
     }
-    this.lastInputTime = now;
+    this.lastInputTime[channel] = now;
 
     // Prevent default on touch to avoid scrolling
     if (event.type === 'touchstart') {
@@ -62,6 +102,7 @@ export class InputManager extends EventTarget {
     this.dispatchEvent(new CustomEvent('press', {
       detail: {
         type: event.type,
+        channel,
         timestamp: now
       }
     }));
@@ -76,11 +117,9 @@ export class InputManager extends EventTarget {
       const gamepads = navigator.getGamepads();
       for (const gamepad of gamepads) {
         if (gamepad) {
-          for (const button of gamepad.buttons) {
-            if (button.pressed) {
-              this.handleInput({ type: 'gamepad' });
-              break;
-            }
+          const index = gamepad.buttons.findIndex(button => button.pressed);
+          if (index !== -1) {
+            this.handleInput({ type: 'gamepad' }, GAMEPAD_CHANNELS[index]);
           }
         }
       }
@@ -7,6 +7,19 @@ import { Renderer } from './ui/renderer.js';
 import { StartScreen } from './ui/screens/start-screen.js';
 import { GameScreen } from './ui/screens/game-screen.js';
 import { ResultsScreen } from './ui/screens/results-screen.js';
+import { HistoryScreen } from './ui/screens/history-screen.js';
+import { ProgressScreen } from './ui/screens/progress-screen.js';
+import { RestScreen } from './ui/screens/rest-screen.js';
+import { SessionSummaryScreen } from './ui/screens/session-summary-screen.js';
+import { VoiceRecorderScreen } from './ui/screens/voice-recorder-screen.js';
+import { MODES, STIMULUS_SETS } from './utils/constants.js';
+import { resolveTiming } from './game/timing.js';
+import { resolveMode } from './game/modes.js';
+import { getPlanTrialCount, resolvePlan, summarizeTrainingSession } from './game/session-plan.js';
+import { resolveTrialCount } from './game/trial-count.js';
+import { analyzeSequence, summarizeSequenceQuality } from './game/sequence-analyzer.js';
+import { resolveStimulusSet } from './game/stimulus-sets.js';
+import { deriveSeed } from './utils/random.js';
 
 /**
  * Main application class
@@ -21,6 +34,7 @@ class App {
     this.gameScreen = null;
     this.audioUnlocked = false;
     this.currentTrialCount = 20;
+    this.plan = null; // Session plan in progress: { id, blocks, rest, completed, startedAt, trialScaling }
     this.wakeLock = null;
   }
 
@@ -55,51 +69,162 @@ class App {
   async showStartScreen(overrideN) {
     const settings = await this.storage.getSettings();
     const lastN = overrideN ?? settings.lastN ?? await this.storage.getLastLevel();
+    this.audioManager.applyVolumes(settings); // The active profile may have changed
     this.currentTrialCount = settings.trialCount ?? this.currentTrialCount;
 
     const startScreen = new StartScreen({
       currentN: lastN,
       trialCount: this.currentTrialCount,
+      trialScaling: {
+        trialCountMode: settings.trialCountMode,
+        trialBase: settings.trialBase,
+        trialsPerN: settings.trialsPerN
+      },
+      mode: resolveMode(settings),
+      timing: resolveTiming(settings),
       storage: this.storage,
-      onStart: async (n, trialCount) => {
-        this.currentTrialCount = trialCount;
-        await this.startGame(n, trialCount);
+      profiles: await this.storage.getProfiles(),
+      profileId: this.storage.profileId,
+      onProfileChange: async (profileId) => {
+        await this.storage.setActiveProfile(profileId);
+        await this.showStartScreen();
+      },
+      onProfileCreate: async (name) => {
+        const profileId = await this.storage.createProfile(name);
+        await this.storage.setActiveProfile(profileId);
+        await this.showStartScreen();
+      },
+      onStart: async (n, trialCount, seed) => {
+        await this.unlockAudio(); // Still inside the start gesture
+        const current = await this.storage.getSettings();
+        if (current.trialCountMode !== 'scaled') {
+          this.currentTrialCount = trialCount;
+          await this.storage.saveSettings({ trialCount });
+        }
+        const plan = resolvePlan({ blocks: current.planBlocks, rest: current.planRest });
+        if (plan.blocks > 0) {
+          await this.startPlan(n, plan, current, seed);
+        } else {
+          await this.startGame(n, trialCount, seed);
+        }
+      },
+      onHistory: async () => {
+        await this.showHistoryScreen();
+      },
+      onRecordVoice: async () => {
+        await this.unlockAudio(); // Still inside the button gesture
+        await this.showVoiceRecorderScreen();
+      },
+      onVolumeChange: (bus, volume) => {
+        this.audioManager.setVolume(volume, bus);
       }
     });
 
     await this.renderer.render(startScreen);
   }
 
+  /**
+   * Show the voice pack recorder
+   */
+  async showVoiceRecorderScreen() {
+    const recorderScreen = new VoiceRecorderScreen({
+      storage: this.storage,
+      audioManager: this.audioManager,
+      onSaved: async () => {
+        await this.showStartScreen();
+      },
+      onBack: async () => {
+        await this.showStartScreen();
+      }
+    });
+
+    await this.renderer.render(recorderScreen);
+  }
+
+  /**
+   * Show the session history screen
+   */
+  async showHistoryScreen() {
+    const historyScreen = new HistoryScreen({
+      storage: this.storage,
+      onBack: async () => {
+        await this.showStartScreen();
+      },
+      onProgress: async () => {
+        await this.showProgressScreen();
+      }
+    });
+
+    await this.renderer.render(historyScreen);
+  }
+
+  /**
+   * Show the progress charts screen
+   */
+  async showProgressScreen() {
+    const progressScreen = new ProgressScreen({
+      storage: this.storage,
+      onBack: async () => {
+        await this.showHistoryScreen();
+      }
+    });
+
+    await this.renderer.render(progressScreen);
+  }
+
   /**
    * Start the game
    * @param {number} n - N-back level
    * @param {number} trialCount - Number of trials
+   * @param {number | null} seed - Sequence seed to replay a block (null for a fresh one)
    */
-  async startGame(n, trialCount = 20) {
-    // Persist level and trial selections
-    this.storage.saveSettings({ lastN: n, trialCount });
+  async startGame(n, trialCount = 20, seed = null) {
+    await this.unlockAudio();
 
-    // Unlock audio on first user interaction (must happen in gesture context).
-    // AudioContext + silentAudio were created synchronously when init() started,
-    // so unlock() can use them immediately without waiting for preload.
-    if (!this.audioUnlocked) {
-      await this.audioManager.unlock();
-      this.audioManager.setupMediaSession();
-      this.audioUnlocked = true;
+    // The seed of a stored block replays it with the level, length and generator parameters it was played with
+    const replay = seed === null ? null : await this.storage.findSessionBySeed(seed);
+    if (replay) {
+      n = replay.n;
+      trialCount = replay.trialCount;
     }
 
+    // Persist level and trial selections. A manually chosen level starts at its lowest sub-level.
+    const saved = await this.storage.getSettings();
+    const subLevel = n === saved.lastN ? saved.subLevel : 0;
+    await this.storage.saveSettings({ lastN: n, subLevel });
+
     // Keep screen awake during gameplay
     await this.acquireWakeLock();
 
     // Create game engine and apply settings
     this.gameEngine = new GameEngine(this.audioManager, this.inputManager);
     const settings = await this.storage.getSettings();
+    const mode = replay ? replay.mode : resolveMode(settings);
+    const setId = replay ? replay.stimulusSet : settings.stimulusSet;
+    // Speech can't be panned, so spatial mode only uses sets with recordings
+    const stimulusSet = resolveStimulusSet(setId, {
+      customLetters: replay ? replay.stimuli : settings.customLetters,
+      requireRecordings: mode === MODES.SPATIAL
+    });
+    const unrecordedSet = mode === MODES.SPATIAL && STIMULUS_SETS[setId]?.bundled === false;
+    this.audioManager.setStimulusSet(stimulusSet);
+    this.audioManager.setVoicePack(settings.voicePackId ? await this.storage.getVoicePack(settings.voicePackId) : null);
+    this.gameEngine.setStimuli(stimulusSet.items);
     this.gameEngine.setFeedbackSoundsEnabled(settings.feedbackSoundsEnabled);
+    this.gameEngine.setMode(mode);
+    this.gameEngine.setLevelMetric(settings.levelMetric);
+    this.gameEngine.setProgressionPolicy(settings.progressionPolicy);
+    this.gameEngine.setHistorySource(this.storage);
+    this.gameEngine.setSubLevel(subLevel);
+    this.gameEngine.setTiming(settings);
+    this.gameEngine.setLureRates(settings.lureRates);
+    this.gameEngine.setDifficulty(replay && { timing: replay.timing, lureRates: replay.lureRates, matchRate: replay.matchRate });
 
     // Show game screen IMMEDIATELY — don't block on audio preload
     this.gameScreen = new GameScreen({
       n: n,
       totalTrials: trialCount,
+      mode,
       onPause: () => this.pauseGame(),
       onExit: () => this.exitGame()
     });
@@ -110,16 +235,19 @@ class App {
     this.gameEngine.addEventListener('trialStart', (e) => {
       this.gameScreen.updateProgress(e.detail.trialIndex, e.detail.totalTrials);
       this.gameScreen.resetTapFeedback();
-      this.gameScreen.resetTrialArc();
+      this.gameScreen.resetTrialArc(e.detail.onsetTimestamp, e.detail.duration);
+      if (e.detail.position !== null) {
+        this.gameScreen.showPosition(e.detail.position);
+      }
       if (e.detail.trialIndex === 0) {
         this.gameScreen.startTimer();
       }
     });
 
     // Show tap feedback when user presses during gameplay
-    this._tapFeedbackHandler = () => {
+    this._tapFeedbackHandler = (e) => {
       if (this.gameEngine && this.gameEngine.getState() === 'playing') {
-        this.gameScreen.showTapFeedback();
+        this.gameScreen.showTapFeedback(e.detail.channel);
       }
     };
     this.inputManager.on('press', this._tapFeedbackHandler);
@@ -140,12 +268,18 @@ class App {
     };
     document.addEventListener('keydown', this._escHandler);
 
-    // Preload audio buffers (no-op if already loaded).
-    // Must happen after unlock() so the AudioContext is running.
-    await this.audioManager.preload();
+    // Preload audio buffers (only those of a newly chosen stimulus set after the first block)
+    // and report anything that failed. Must happen after unlock() so the AudioContext is running.
+    const preflight = await this.audioManager.preflight({ panned: mode === MODES.SPATIAL });
+    const notice = [
+      replay ? `Replaying the block of ${new Date(replay.timestamp).toLocaleDateString()} with its settings.` : '',
+      unrecordedSet ? `${STIMULUS_SETS[setId].label} have no recordings for spatial audio, so letters are used.` : '',
+      describePreflight(preflight)
+    ].filter(Boolean).join(' ');
+    if (notice) this.gameScreen.showAudioNotice(notice);
 
     // Start the block
-    const result = await this.gameEngine.startBlock(n, trialCount);
+    const result = await this.gameEngine.startBlock(n, trialCount, seed);
 
     // Clean up listeners, timer, and wake lock
     this.gameScreen.stopTimer();
@@ -156,17 +290,135 @@ class App {
     if (result) {
       // Save session and update persisted level to the adaptive next level
       await this.storage.saveSession({
+        ...(this.plan && { trainingSessionId: this.plan.id }),
         n: n,
         trialCount: trialCount,
+        mode,
+        stimulusSet: stimulusSet.id,
+        stimuli: stimulusSet.items,
+        levelMetric: settings.levelMetric,
+        progressionPolicy: this.gameEngine.progressionPolicy,
+        timing: this.gameEngine.timing,
+        lureRates: this.gameEngine.difficulty.lureRates,
+        matchRate: this.gameEngine.difficulty.matchRate,
+        seed: result.seed,
+        sequenceQuality: summarizeSequenceQuality(analyzeSequence(this.gameEngine.sequence)),
         ...result.results,
-        nextLevel: result.nextLevel
+        nextLevel: result.nextLevel,
+        subLevel,
+        nextSubLevel: result.nextSubLevel,
+        trials: result.trials
       });
-      this.storage.saveSettings({ lastN: result.nextLevel, trialCount });
+      await this.storage.saveSettings({ lastN: result.nextLevel, subLevel: result.nextSubLevel });
 
-      // Show results screen
       const feedbackOff = !settings.feedbackSoundsEnabled;
-      await this.showResultsScreen(result.results, n, result.nextLevel, trialCount, feedbackOff);
+      if (this.plan) {
+        await this.continuePlan(result.results, n, result.nextLevel, feedbackOff);
+        return;
+      }
+
+      // Show results screen
+      const staircase = this.gameEngine.progressionPolicy === 'staircase'
+        ? { subLevel, nextSubLevel: result.nextSubLevel }
+        : null;
+      await this.showResultsScreen(result.results, n, result.nextLevel, trialCount, feedbackOff, result.seed, staircase);
+    }
+  }
+
+  /**
+   * Unlock audio on first user interaction (must happen in gesture context).
+   * AudioContext + silentAudio were created synchronously when init() started,
+   * so unlock() can use them immediately without waiting for preload.
+   */
+  async unlockAudio() {
+    if (!this.audioUnlocked) {
+      await this.audioManager.unlock();
+      this.audioManager.setupMediaSession();
+      this.audioUnlocked = true;
+    }
+  }
+
+  /**
+   * Start a session plan: a fixed number of base + N trial blocks with rests in between.
+   * Blocks are grouped under one training session record in storage.
+   * @param {number} n - N-back level of the first block
+   * @param {{ blocks: number, rest: number }} plan
+   * @param {object} settings - Current settings (trial count formula)
+   * @param {number | null} [seed] - Seed of the first block; later blocks derive theirs from it
+   */
+  async startPlan(n, plan, settings, seed = null) {
+    await this.unlockAudio();
+    const id = await this.storage.createTrainingSession(plan);
+    const trialScaling = { trialBase: settings.trialBase, trialsPerN: settings.trialsPerN };
+    this.plan = { id, ...plan, completed: 0, startedAt: Date.now(), trialScaling, seed };
+    await this.startGame(n, getPlanTrialCount(n, settings), seed);
+  }
+
+  /**
+   * After a plan block: rest and count down to the next block, or finish the plan
+   * @param {object} results - Results of the block just played
+   * @param {number} currentN - N level of that block
+   * @param {number} nextLevel - N level of the next block
+   * @param {boolean} feedbackOff - Hide accuracy
+   */
+  async continuePlan(results, currentN, nextLevel, feedbackOff) {
+    this.plan.completed++;
+    if (this.plan.completed >= this.plan.blocks) {
+      await this.finishPlan();
+      return;
+    }
+
+    const restScreen = new RestScreen({
+      blockNumber: this.plan.completed,
+      totalBlocks: this.plan.blocks,
+      results,
+      currentN,
+      nextLevel,
+      restSeconds: this.plan.rest,
+      feedbackOff,
+      onNext: async (n) => {
+        // Later blocks of a seeded plan get seeds derived from it, so the whole plan replays
+        const seed = this.plan.seed === null ? null : deriveSeed(this.plan.seed, this.plan.completed);
+        await this.startGame(n, getPlanTrialCount(n, this.plan.trialScaling), seed);
+      },
+      onEnd: async () => {
+        await this.finishPlan();
+      }
+    });
+
+    await this.renderer.render(restScreen);
+  }
+
+  /**
+   * Close the training session record and show its summary
+   */
+  async finishPlan() {
+    const plan = this.plan;
+    this.plan = null;
+
+    const blocks = await this.storage.getTrainingSessionBlocks(plan.id);
+    const summary = summarizeTrainingSession(blocks, plan.startedAt);
+    await this.storage.updateTrainingSession(plan.id, {
+      status: blocks.length >= plan.blocks ? 'complete' : 'ended',
+      endedAt: Date.now(),
+      summary
+    });
+
+    if (blocks.length === 0) {
+      await this.showStartScreen();
+      return;
     }
+
+    const summaryScreen = new SessionSummaryScreen({
+      summary,
+      blocks,
+      plannedBlocks: plan.blocks,
+      onDone: async () => {
+        await this.showStartScreen();
+      }
+    });
+
+    await this.renderer.render(summaryScreen);
   }
 
   /**
@@ -192,7 +444,11 @@ class App {
       this.gameEngine.stop();
     }
     this.releaseWakeLock();
-    this.showStartScreen(currentN);
+    if (this.plan) {
+      this.finishPlan();
+    } else {
+      this.showStartScreen(currentN);
+    }
   }
 
   /**
@@ -201,15 +457,22 @@ class App {
    * @param {number} currentN - Current N level
    * @param {number} nextLevel - Next N level
    * @param {number} trialCount - Number of trials used
+   * @param {boolean} feedbackOff - Hide detailed stats
+   * @param {number} seed - Seed of the block just played
+   * @param {{ subLevel: number, nextSubLevel: number } | null} staircase - Sub-levels under the staircase policy
    */
-  async showResultsScreen(results, currentN, nextLevel, trialCount, feedbackOff = false) {
+  async showResultsScreen(results, currentN, nextLevel, trialCount, feedbackOff = false, seed = null, staircase = null) {
     const resultsScreen = new ResultsScreen({
       results: results,
       currentN: currentN,
       nextLevel: nextLevel,
+      staircase: staircase,
       feedbackOff: feedbackOff,
+      seed: seed,
       onContinue: async (n) => {
-        await this.startGame(n, trialCount);
+        // In scaled mode the next block's length follows its new level
+        const settings = await this.storage.getSettings();
+        await this.startGame(n, resolveTrialCount(n, { ...settings, trialCount }));
       },
       onEnd: async () => {
         await this.showStartScreen();
@@ -245,6 +508,20 @@ class App {
   }
 }
 
+/**
+ * Short notice for the game screen about audio files that failed to load
+ * or stimuli that have no recording
+ * @param {{ missing: object[], spoken: string[], undeliverable: string[] }} preflight - AudioManager.preflight() report
+ * @returns {string} - Empty when every sound has a recording
+ */
+function describePreflight({ missing, spoken, undeliverable }) {
+  const parts = [];
+  if (missing.length > 0) parts.push(`${missing.length} sound${missing.length === 1 ? '' : 's'} failed to load.`);
+  if (spoken.length > 0) parts.push(`Using a synthesized voice for ${spoken.join(', ')}.`);
+  if (undeliverable.length > 0) parts.push(`${undeliverable.join(', ')} will be silent and not scored.`);
+  return parts.join(' ');
+}
+
 // Start the app
 const app = new App();
 app.init().catch(console.error);
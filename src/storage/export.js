@@ -0,0 +1,358 @@
+/**
+ * Export and import of the training history as versioned JSON and flat CSV
+ */
+
+export const EXPORT_FORMAT = 'nback-export';
+export const EXPORT_VERSION = 1;
+
+const isNumber = Number.isFinite;
+const isBoolean = (value) => typeof value === 'boolean';
+const isString = (value) => typeof value === 'string';
+const isIdentifier = (value) => isString(value) && /^[\w-]{1,40}$/.test(value);
+const isNumberOrNull = (value) => value === null || isNumber(value);
+const isIdentifierOrNull = (value) => value === null || isIdentifier(value);
+
+// Type check of every session field kept on import. Fields that are missing
+// or fail their check are dropped, so rendering can trust what is stored.
+// Summaries (timing, lure rates, results, sequence quality) only ever hold numbers.
+// trainingSessionId is left out: it points into another device's
+// trainingSessions store.
+const SESSION_FIELDS = {
+  nextLevel: Number.isInteger,
+  trialCount: isNumber,
+  subLevel: isNumber,
+  nextSubLevel: isNumber,
+  mode: isIdentifier,
+  levelMetric: isIdentifier,
+  progressionPolicy: isIdentifier,
+  stimulusSet: isIdentifier,
+  seed: isNumber,
+  matchRate: isNumber,
+  hits: isNumber,
+  misses: isNumber,
+  falseAlarms: isNumber,
+  correctRejections: isNumber,
+  hitRate: isNumber,
+  correctRejectionRate: isNumber,
+  dPrime: isNumber,
+  criterion: isNumber,
+  aPrime: isNumber,
+  beta: isNumber,
+  undelivered: isNumber
+};
+const NUMERIC_SUMMARIES = ['timing', 'lureRates', 'lures', 'modalities', 'reactionTimes', 'sequenceQuality'];
+
+// Settings that describe this device rather than the user's preferences:
+// the recorded voice pack lives in this device's database, and the level to
+// resume at follows this device's own history.
+const DEVICE_SETTINGS = ['voicePackId', 'lastN', 'subLevel'];
+
+const TRIAL_FIELDS = {
+  trialIndex: isNumber,
+  letter: isString,
+  position: isNumberOrNull,
+  location: isNumberOrNull,
+  onset: isNumber,
+  delivered: isBoolean
+};
+
+const RESPONSE_FIELDS = {
+  userPressed: isBoolean,
+  wasMatch: isBoolean,
+  lureType: isIdentifierOrNull,
+  correct: isBoolean,
+  outcome: isIdentifier,
+  rt: isNumberOrNull
+};
+
+const PRESS_FIELDS = {
+  channel: isIdentifier,
+  timestamp: isNumber,
+  rt: isNumber
+};
+
+// Columns of the per-block CSV, in order. Nested values are flattened by path.
+const BLOCK_COLUMNS = [
+  ['timestamp', s => new Date(s.timestamp).toISOString()],
+  ['mode', s => s.mode ?? 'single'],
+  ['n', s => s.n],
+  ['nextLevel', s => s.nextLevel],
+  ['trialCount', s => s.trialCount],
+  ['accuracy', s => s.accuracy],
+  ['hits', s => s.hits],
+  ['misses', s => s.misses],
+  ['falseAlarms', s => s.falseAlarms],
+  ['correctRejections', s => s.correctRejections],
+  ['dPrime', s => s.dPrime],
+  ['criterion', s => s.criterion],
+  ['aPrime', s => s.aPrime],
+  ['levelMetric', s => s.levelMetric],
+  ['isi', s => s.timing?.isi],
+  ['responseWindow', s => s.timing?.responseWindow],
+  ['isiJitter', s => s.timing?.isiJitter],
+  ['seed', s => s.seed],
+  ['stimulusSet', s => s.stimulusSet ?? 'letters']
+];
+
+// Extra columns of the per-trial CSV, appended after the block columns
+const TRIAL_COLUMNS = [
+  ['trialIndex', t => t.trialIndex],
+  ['letter', t => t.letter],
+  ['position', t => t.position],
+  ['onset', t => t.onset],
+  ['audioMatch', t => t.responses?.audio?.wasMatch],
+  ['audioPressed', t => t.responses?.audio?.userPressed],
+  ['audioOutcome', t => t.responses?.audio?.outcome],
+  ['audioRt', t => t.responses?.audio?.rt],
+  ['positionMatch', t => t.responses?.position?.wasMatch],
+  ['positionPressed', t => t.responses?.position?.userPressed],
+  ['positionOutcome', t => t.responses?.position?.outcome],
+  ['positionRt', t => t.responses?.position?.rt],
+  ['lureType', t => t.responses?.audio?.lureType],
+  ['delivered', t => t.delivered ?? true],
+  ['location', t => t.location],
+  ['locationMatch', t => t.responses?.location?.wasMatch],
+  ['locationPressed', t => t.responses?.location?.userPressed],
+  ['locationOutcome', t => t.responses?.location?.outcome],
+  ['locationRt', t => t.responses?.location?.rt]
+];
+
+/**
+ * Build the versioned JSON export document
+ * @param {object} data
+ * @param {object[]} data.sessions - Records of the sessions store
+ * @param {object[]} data.settings - Records of the settings store ({ key, value })
+ * @param {number} [exportedAt] - Export time in ms
+ * @returns {object}
+ */
+export function createExport({ sessions, settings }, exportedAt = Date.now()) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt,
+    sessions: sessions.map(({ id, ...session }) => session), // Ids are reassigned on import
+    settings
+  };
+}
+
+/**
+ * Flatten sessions to CSV, one row per block or one row per trial
+ * @param {object[]} sessions
+ * @param {object} [options]
+ * @param {boolean} [options.perTrial=false] - Emit one row per trial, repeating the block columns
+ * @returns {string}
+ */
+export function sessionsToCsv(sessions, { perTrial = false } = {}) {
+  const columns = perTrial ? [...BLOCK_COLUMNS, ...TRIAL_COLUMNS] : BLOCK_COLUMNS;
+  const rows = [columns.map(([name]) => name)];
+
+  for (const session of sessions) {
+    const block = BLOCK_COLUMNS.map(([, get]) => get(session));
+    if (!perTrial) {
+      rows.push(block);
+      continue;
+    }
+    for (const trial of session.trials || []) {
+      rows.push([...block, ...TRIAL_COLUMNS.map(([, get]) => get(trial))]);
+    }
+  }
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse and validate an export document
+ * @param {string} text - File contents
+ * @returns {{ sessions: object[], settings: object[] }}
+ * @throws {Error} If the file is not a valid export of a supported version
+ */
+export function parseExport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+
+  if (!data || data.format !== EXPORT_FORMAT) {
+    throw new Error('File is not an N-Back export');
+  }
+  if (!Number.isInteger(data.version) || data.version > EXPORT_VERSION) {
+    throw new Error(`Unsupported export version ${data.version}`);
+  }
+  if (!Array.isArray(data.sessions)) {
+    throw new Error('Export has no session list');
+  }
+
+  const sessions = data.sessions.map((session, i) => {
+    if (!session || !Number.isFinite(session.timestamp) || !Number.isInteger(session.n)
+      || !Number.isFinite(session.accuracy)) {
+      throw new Error(`Session ${i + 1} is missing timestamp, n or accuracy`);
+    }
+    return sanitizeSession(session);
+  });
+
+  const settings = (Array.isArray(data.settings) ? data.settings : []).map((record, i) => {
+    if (!record || typeof record.key !== 'string') {
+      throw new Error(`Settings record ${i + 1} has no key`);
+    }
+    return { key: record.key, value: sanitizeSettings(record.value) };
+  });
+
+  return { sessions, settings };
+}
+
+/**
+ * Copy of an imported session with only known fields of the expected type
+ * @param {object} session - Validated to have timestamp, n and accuracy
+ * @returns {object}
+ */
+function sanitizeSession(session) {
+  const clean = {
+    timestamp: session.timestamp,
+    n: session.n,
+    accuracy: session.accuracy,
+    ...pickFields(session, SESSION_FIELDS)
+  };
+  for (const key of NUMERIC_SUMMARIES) {
+    const summary = numbersOnly(session[key]);
+    if (summary) clean[key] = summary;
+  }
+  if (Array.isArray(session.stimuli)) {
+    clean.stimuli = session.stimuli.filter(isString);
+  }
+  if (Array.isArray(session.trials)) {
+    clean.trials = session.trials.filter(isPlainObject).map(sanitizeTrial);
+  }
+  return clean;
+}
+
+/**
+ * Copy of imported settings keeping only plain values: numbers, booleans,
+ * null, identifier strings and lists of them, and objects of numbers
+ * @param {*} value
+ * @returns {object}
+ */
+function sanitizeSettings(value) {
+  if (!isPlainObject(value)) return {};
+  const isPlain = (item) => isNumberOrNull(item) || isBoolean(item) || isIdentifier(item);
+  const clean = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (!isIdentifier(key)) continue;
+    if (isPlain(item)) {
+      clean[key] = item;
+    } else if (Array.isArray(item)) {
+      clean[key] = item.filter(isPlain);
+    } else if (isPlainObject(item)) {
+      clean[key] = numbersOnly(item);
+    }
+  }
+  return clean;
+}
+
+/**
+ * @param {object} trial
+ * @returns {object}
+ */
+function sanitizeTrial(trial) {
+  const clean = pickFields(trial, TRIAL_FIELDS);
+  if (Array.isArray(trial.presses)) {
+    clean.presses = trial.presses.filter(isPlainObject).map(press => pickFields(press, PRESS_FIELDS));
+  }
+  if (isPlainObject(trial.responses)) {
+    clean.responses = {};
+    for (const [channel, response] of Object.entries(trial.responses)) {
+      if (isIdentifier(channel) && isPlainObject(response)) {
+        clean.responses[channel] = pickFields(response, RESPONSE_FIELDS);
+      }
+    }
+  }
+  return clean;
+}
+
+/**
+ * @param {object} source
+ * @param {Object<string, (value: *) => boolean>} fields - Check per kept field
+ * @returns {object}
+ */
+function pickFields(source, fields) {
+  const picked = {};
+  for (const [key, check] of Object.entries(fields)) {
+    if (check(source[key])) picked[key] = source[key];
+  }
+  return picked;
+}
+
+/**
+ * Nested object keeping only finite numbers and nulls under identifier keys
+ * @param {*} value
+ * @returns {object | null} - null if value isn't an object
+ */
+function numbersOnly(value) {
+  if (!isPlainObject(value)) return null;
+  const clean = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (!isIdentifier(key)) continue;
+    if (isNumberOrNull(item)) {
+      clean[key] = item;
+    } else if (isPlainObject(item)) {
+      clean[key] = numbersOnly(item);
+    }
+  }
+  return clean;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Select the imported sessions that are not already stored.
+ * Sessions are identified by their timestamp, so importing the same file twice is a no-op.
+ * @param {object[]} existing - Sessions already in the database
+ * @param {object[]} incoming - Sessions from the import file
+ * @returns {object[]} - New sessions without ids, oldest first
+ */
+export function selectNewSessions(existing, incoming) {
+  const seen = new Set(existing.map(s => s.timestamp));
+  const added = [];
+  for (const { id, ...session } of incoming) {
+    if (seen.has(session.timestamp)) continue;
+    seen.add(session.timestamp);
+    added.push(session);
+  }
+  return added.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Merge imported settings over the stored ones, keeping device-local keys
+ * @param {object} current - Settings stored on this device
+ * @param {object} imported - Settings from the import file
+ * @returns {object}
+ */
+export function mergeImportedSettings(current, imported) {
+  const merged = { ...current, ...imported };
+  for (const key of DEVICE_SETTINGS) {
+    if (key in current) {
+      merged[key] = current[key];
+    } else {
+      delete merged[key];
+    }
+  }
+  return merged;
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180)
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
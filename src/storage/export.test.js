@@ -0,0 +1,167 @@
+import { createExport, parseExport, sessionsToCsv, selectNewSessions, mergeImportedSettings, EXPORT_VERSION } from './export.js';
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  const session = {
+    id: 7,
+    timestamp: Date.UTC(2026, 0, 5, 9, 0),
+    n: 3,
+    nextLevel: 4,
+    trialCount: 23,
+    mode: 'single',
+    accuracy: 0.9,
+    hits: 4,
+    misses: 0,
+    falseAlarms: 1,
+    correctRejections: 18,
+    seed: 12345,
+    trainingSessionId: 3,
+    timing: { isi: 3000, responseWindow: 2500, isiJitter: 0 },
+    trials: [
+      { trialIndex: 0, letter: 'C', position: null, onset: 1, responses: { audio: { wasMatch: false, userPressed: false, outcome: 'correct-rejection', rt: null } } },
+      { trialIndex: 1, letter: 'H', position: null, onset: 2, responses: { audio: { wasMatch: true, userPressed: true, outcome: 'hit', rt: 512 } } }
+    ]
+  };
+  const settings = [{ key: 'user-settings', value: { currentN: 4 } }];
+
+  // Test 1: JSON export round-trips through parseExport without ids
+  const exported = createExport({ sessions: [session], settings }, 1000);
+  const parsed = parseExport(JSON.stringify(exported));
+  if (exported.version === EXPORT_VERSION && parsed.sessions.length === 1
+    && parsed.sessions[0].id === undefined && parsed.sessions[0].n === 3
+    && parsed.settings[0].value.currentN === 4) {
+    console.log('Test 1 PASS: JSON export round-trips');
+    passed++;
+  } else {
+    console.log(`Test 1 FAIL: Round-trip mismatch ${JSON.stringify(parsed)}`);
+    failed++;
+  }
+
+  // Test 2: Invalid files are rejected with a reason
+  const invalid = [
+    'not json',
+    JSON.stringify({ format: 'other', version: 1, sessions: [] }),
+    JSON.stringify({ ...exported, version: EXPORT_VERSION + 1 }),
+    JSON.stringify({ ...exported, sessions: [{ n: 2 }] })
+  ];
+  const rejected = invalid.filter(text => {
+    try {
+      parseExport(text);
+      return false;
+    } catch (err) {
+      return err.message.length > 0;
+    }
+  });
+  if (rejected.length === invalid.length) {
+    console.log('Test 2 PASS: Invalid files are rejected');
+    passed++;
+  } else {
+    console.log(`Test 2 FAIL: Only ${rejected.length}/${invalid.length} invalid files rejected`);
+    failed++;
+  }
+
+  // Test 3: Block CSV has a header and one row per block
+  const blockCsv = sessionsToCsv([session]).trim().split('\r\n');
+  if (blockCsv.length === 2 && blockCsv[0].startsWith('timestamp,mode,n,')
+    && blockCsv[1].startsWith('2026-01-05T09:00:00.000Z,single,3,4,23,0.9,')) {
+    console.log('Test 3 PASS: Block CSV has one row per block');
+    passed++;
+  } else {
+    console.log(`Test 3 FAIL: Unexpected block CSV ${JSON.stringify(blockCsv)}`);
+    failed++;
+  }
+
+  // Test 4: Trial CSV has one row per trial with outcome and RT
+  const trialCsv = sessionsToCsv([session], { perTrial: true }).trim().split('\r\n');
+  if (trialCsv.length === 3 && trialCsv[0].includes('audioOutcome')
+    && trialCsv[2].includes(',H,,2,true,true,hit,512,')) {
+    console.log('Test 4 PASS: Trial CSV has one row per trial');
+    passed++;
+  } else {
+    console.log(`Test 4 FAIL: Unexpected trial CSV ${JSON.stringify(trialCsv)}`);
+    failed++;
+  }
+
+  // Test 5: Fields containing separators are quoted
+  const quoted = sessionsToCsv([{ ...session, mode: 'a,"b"' }]).split('\r\n')[1];
+  if (quoted.includes(',"a,""b""",')) {
+    console.log('Test 5 PASS: CSV fields are quoted');
+    passed++;
+  } else {
+    console.log(`Test 5 FAIL: Field not quoted in ${quoted}`);
+    failed++;
+  }
+
+  // Test 6: Import keeps only sessions whose timestamp is not already stored
+  const later = { ...session, id: 9, timestamp: session.timestamp + 60000 };
+  const fresh = selectNewSessions([session], [later, session, { ...later }]);
+  if (fresh.length === 1 && fresh[0].timestamp === later.timestamp && fresh[0].id === undefined) {
+    console.log('Test 6 PASS: Import de-duplicates by timestamp');
+    passed++;
+  } else {
+    console.log(`Test 6 FAIL: Expected one new session, got ${fresh.length}`);
+    failed++;
+  }
+
+  // Test 7: Imported fields of the wrong type and markup-bearing values are dropped
+  const crafted = createExport({
+    sessions: [{
+      ...session,
+      seed: '<img src=x onerror=alert(1)>',
+      stimulusSet: '"><script>',
+      dPrime: 'high',
+      extra: { html: '<b>' },
+      modalities: { audio: { accuracy: 1, hits: '<i>', lures: { 'n-1': { trials: 2 } } } },
+      trials: [{ ...session.trials[1], letter: 'H', position: '<svg>', responses: { audio: { outcome: 'hit" onclick="x', rt: 512 } } }]
+    }],
+    settings: [{ key: 'user-settings', value: { currentN: 4, trialBase: '"><img>', customLetters: ['C', '<b>'], lureRates: { 'n-1': 0.1, 'n+1': 'x' } } }]
+  });
+  const cleaned = parseExport(JSON.stringify(crafted));
+  const cleanSession = cleaned.sessions[0];
+  const cleanTrial = cleanSession.trials[0];
+  const cleanSettings = cleaned.settings[0].value;
+  if (cleanSession.seed === undefined && cleanSession.stimulusSet === undefined && cleanSession.dPrime === undefined
+    && cleanSession.extra === undefined && cleanSession.hits === 4
+    && cleanSession.modalities.audio.accuracy === 1 && cleanSession.modalities.audio.hits === undefined
+    && cleanSession.modalities.audio.lures['n-1'].trials === 2
+    && cleanTrial.letter === 'H' && cleanTrial.position === undefined
+    && cleanTrial.responses.audio.outcome === undefined && cleanTrial.responses.audio.rt === 512
+    && cleanSettings.currentN === 4 && cleanSettings.trialBase === undefined
+    && cleanSettings.customLetters.join('') === 'C' && cleanSettings.lureRates['n-1'] === 0.1
+    && cleanSettings.lureRates['n+1'] === undefined) {
+    console.log('Test 7 PASS: Imported fields are type-checked');
+    passed++;
+  } else {
+    console.log(`Test 7 FAIL: Got ${JSON.stringify(cleaned)}`);
+    failed++;
+  }
+
+  // Test 8: Training session ids and device-local settings are not imported
+  const merged = mergeImportedSettings(
+    { currentN: 2, voicePackId: 'pack-1', lastN: 5, subLevel: 0.5 },
+    { currentN: 4, voicePackId: 'pack-9', lastN: 2, subLevel: 0, stimulusSet: 'digits' }
+  );
+  const fromOtherDevice = mergeImportedSettings({ currentN: 2 }, { voicePackId: 'pack-9', lastN: 2 });
+  if (parsed.sessions[0].trainingSessionId === undefined
+    && merged.currentN === 4 && merged.stimulusSet === 'digits'
+    && merged.voicePackId === 'pack-1' && merged.lastN === 5 && merged.subLevel === 0.5
+    && !('voicePackId' in fromOtherDevice) && !('lastN' in fromOtherDevice)) {
+    console.log('Test 8 PASS: Device-local data stays on its device');
+    passed++;
+  } else {
+    console.log(`Test 8 FAIL: Got ${JSON.stringify(merged)} / ${JSON.stringify(fromOtherDevice)}`);
+    failed++;
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('All tests passed!');
+  }
+
+  return failed === 0;
+}
+
+runTests();
@@ -0,0 +1,191 @@
+/**
+ * IndexedDB schema migrations.
+ *
+ * Each entry upgrades the database from `version - 1` to `version`. Migrations run
+ * in order inside the `versionchange` transaction of `indexedDB.open`, so a database
+ * created at any earlier version is brought up to date step by step. Record rewrites
+ * must be queued on the upgrade transaction (cursors, put) and never await anything
+ * else, or the transaction commits early.
+ *
+ * Migrations rewrite existing records through the `rewrite(storeName, transform)`
+ * callback instead of opening their own cursors: two cursors over one store in the
+ * same transaction would each read a record before the other's update lands, so
+ * the later write would drop the earlier one's changes. runMigrations applies all
+ * transforms for a store in a single cursor pass, in migration order.
+ */
+
+export const SESSIONS_STORE = 'sessions';
+export const SETTINGS_STORE = 'settings';
+export const PROFILES_STORE = 'profiles';
+export const TRAINING_SESSIONS_STORE = 'trainingSessions';
+export const VOICE_PACKS_STORE = 'voicePacks';
+
+/** Profile that owns everything recorded before profiles existed */
+export const DEFAULT_PROFILE_ID = 1;
+
+/** Settings record key holding one profile's settings */
+export function settingsKey(profileId) {
+  return `user-settings:${profileId}`;
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create sessions and settings stores',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+        const sessionsStore = db.createObjectStore(SESSIONS_STORE, {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+        sessionsStore.createIndex('timestamp', 'timestamp', { unique: false });
+      }
+
+      if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+        db.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Index sessions by level and backfill mode and level metric',
+    upgrade(db, transaction, rewrite) {
+      const store = transaction.objectStore(SESSIONS_STORE);
+      if (!store.indexNames.contains('n')) {
+        store.createIndex('n', 'n', { unique: false });
+      }
+
+      // Sessions saved before dual mode and level metrics existed
+      rewrite(SESSIONS_STORE, (session) => {
+        if (session.mode && session.levelMetric) return null;
+        return { ...session, mode: session.mode || 'single', levelMetric: session.levelMetric || 'accuracy' };
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'Add profiles and assign existing sessions and settings to the default profile',
+    upgrade(db, transaction, rewrite) {
+      if (!db.objectStoreNames.contains(PROFILES_STORE)) {
+        const profilesStore = db.createObjectStore(PROFILES_STORE, {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+        profilesStore.put({ id: DEFAULT_PROFILE_ID, name: 'Default', createdAt: Date.now() });
+      }
+
+      const sessionsStore = transaction.objectStore(SESSIONS_STORE);
+      if (!sessionsStore.indexNames.contains('profileTimestamp')) {
+        sessionsStore.createIndex('profileTimestamp', ['profileId', 'timestamp'], { unique: false });
+      }
+      rewrite(SESSIONS_STORE, (session) => (
+        session.profileId === undefined ? { ...session, profileId: DEFAULT_PROFILE_ID } : null
+      ));
+
+      // Move the single global settings record to the default profile
+      const settingsStore = transaction.objectStore(SETTINGS_STORE);
+      const request = settingsStore.get('user-settings');
+      request.onsuccess = () => {
+        if (!request.result) return;
+        settingsStore.put({ key: settingsKey(DEFAULT_PROFILE_ID), value: request.result.value });
+        settingsStore.delete('user-settings');
+      };
+    }
+  },
+  {
+    version: 4,
+    description: 'Add training sessions that group the blocks of a session plan',
+    upgrade(db, transaction) {
+      if (!db.objectStoreNames.contains(TRAINING_SESSIONS_STORE)) {
+        const store = db.createObjectStore(TRAINING_SESSIONS_STORE, {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+        store.createIndex('profileTimestamp', ['profileId', 'timestamp'], { unique: false });
+      }
+
+      const sessionsStore = transaction.objectStore(SESSIONS_STORE);
+      if (!sessionsStore.indexNames.contains('trainingSessionId')) {
+        sessionsStore.createIndex('trainingSessionId', 'trainingSessionId', { unique: false });
+      }
+    }
+  },
+  {
+    version: 5,
+    description: 'Add recorded voice packs',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(VOICE_PACKS_STORE)) {
+        db.createObjectStore(VOICE_PACKS_STORE, {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+      }
+    }
+  }
+];
+
+/** Current schema version: the version of the last migration */
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Apply every migration newer than `oldVersion`, then rewrite each store's
+ * records once with the transforms the migrations registered for it
+ * @param {IDBDatabase} db
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ * @param {number} oldVersion - Version the database had before opening (0 if new)
+ * @param {object[]} [migrations=MIGRATIONS]
+ */
+export function runMigrations(db, transaction, oldVersion, migrations = MIGRATIONS) {
+  const transforms = new Map(); // Store name -> transforms in migration order
+  const rewrite = (storeName, transform) => {
+    if (!transforms.has(storeName)) transforms.set(storeName, []);
+    transforms.get(storeName).push(transform);
+  };
+
+  for (const migration of migrations) {
+    if (migration.version > oldVersion) {
+      migration.upgrade(db, transaction, rewrite);
+    }
+  }
+
+  for (const [storeName, storeTransforms] of transforms) {
+    updateRecords(transaction.objectStore(storeName), chainTransforms(storeTransforms));
+  }
+}
+
+/**
+ * Combine record transforms into one that applies each to the previous result
+ * @param {((record: object) => object | null)[]} transforms
+ * @returns {(record: object) => object | null} - null if no transform changed the record
+ */
+function chainTransforms(transforms) {
+  return (record) => {
+    let current = record;
+    let changed = false;
+    for (const transform of transforms) {
+      const updated = transform(current);
+      if (updated) {
+        current = updated;
+        changed = true;
+      }
+    }
+    return changed ? current : null;
+  };
+}
+
+/**
+ * Rewrite records of a store in place with a cursor. Use at most one per
+ * store per transaction (see runMigrations).
+ * @param {IDBObjectStore} store
+ * @param {(record: object) => object | null} transform - Returns the new record, or null to leave it unchanged
+ */
+export function updateRecords(store, transform) {
+  const request = store.openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    const updated = transform(cursor.value);
+    if (updated) cursor.update(updated);
+    cursor.continue();
+  };
+}
@@ -0,0 +1,180 @@
+import {
+  MIGRATIONS, DB_VERSION, SESSIONS_STORE, SETTINGS_STORE, PROFILES_STORE, TRAINING_SESSIONS_STORE, VOICE_PACKS_STORE, DEFAULT_PROFILE_ID,
+  settingsKey, runMigrations
+} from './migrations.js';
+
+/**
+ * In-memory stand-in for the subset of IndexedDB used by migrations.
+ * Cursor callbacks and cursor writes are queued as microtasks, so requests
+ * run in the order they were made, like real request events: a cursor reads
+ * a record when its request runs, not when it was opened.
+ */
+class FakeStore {
+  constructor(options = {}) {
+    this.keyPath = options.keyPath;
+    this.autoIncrement = !!options.autoIncrement;
+    this.records = new Map();
+    this.indexes = new Map();
+    this.nextKey = 1;
+  }
+
+  get indexNames() {
+    return { contains: (name) => this.indexes.has(name) };
+  }
+
+  createIndex(name, keyPath, options) {
+    this.indexes.set(name, { keyPath, ...options });
+  }
+
+  add(value) {
+    const record = { ...value };
+    if (this.autoIncrement && record[this.keyPath] === undefined) {
+      record[this.keyPath] = this.nextKey++;
+    }
+    this.records.set(record[this.keyPath], record);
+  }
+
+  put(value) {
+    this.add(value);
+  }
+
+  delete(key) {
+    this.records.delete(key);
+  }
+
+  get(key) {
+    const request = { result: undefined, onsuccess: null };
+    queueMicrotask(() => {
+      request.result = structuredClone(this.records.get(key));
+      request.onsuccess?.();
+    });
+    return request;
+  }
+
+  openCursor() {
+    const request = { result: null, onsuccess: null };
+    const keys = [...this.records.keys()].sort((a, b) => a - b);
+    let position = 0;
+    const deliver = () => queueMicrotask(() => {
+      const key = keys[position];
+      request.result = position < keys.length ? {
+        value: structuredClone(this.records.get(key)),
+        update: (value) => queueMicrotask(() => this.records.set(key, structuredClone(value))),
+        continue: () => {
+          position++;
+          deliver();
+        }
+      } : null;
+      request.onsuccess?.();
+    });
+    deliver();
+    return request;
+  }
+}
+
+class FakeDatabase {
+  constructor() {
+    this.stores = new Map();
+  }
+
+  get objectStoreNames() {
+    return { contains: (name) => this.stores.has(name) };
+  }
+
+  createObjectStore(name, options) {
+    const store = new FakeStore(options);
+    this.stores.set(name, store);
+    return store;
+  }
+
+  get transaction() {
+    return { objectStore: (name) => this.stores.get(name) };
+  }
+}
+
+/**
+ * Open a fake database at `version`, as indexedDB.open would
+ */
+async function upgrade(db, oldVersion, version) {
+  runMigrations(db, db.transaction, oldVersion, MIGRATIONS.filter(m => m.version <= version));
+  await new Promise(resolve => setTimeout(resolve, 0)); // Drain cursor callbacks
+}
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  // Test 1: Migrations are numbered consecutively from 1
+  if (MIGRATIONS.every((m, i) => m.version === i + 1) && DB_VERSION === MIGRATIONS.length) {
+    console.log('Test 1 PASS: Migration versions are consecutive');
+    passed++;
+  } else {
+    console.log(`Test 1 FAIL: Versions ${MIGRATIONS.map(m => m.version).join(',')}`);
+    failed++;
+  }
+
+  // Test 2: A new database gets the full current schema
+  const fresh = new FakeDatabase();
+  await upgrade(fresh, 0, DB_VERSION);
+  const freshSessions = fresh.stores.get(SESSIONS_STORE);
+  if (freshSessions && fresh.stores.has(SETTINGS_STORE)
+    && freshSessions.indexes.has('timestamp') && freshSessions.indexes.has('n')
+    && fresh.stores.get(PROFILES_STORE)?.records.has(DEFAULT_PROFILE_ID)
+    && fresh.stores.has(TRAINING_SESSIONS_STORE) && freshSessions.indexes.has('trainingSessionId')
+    && fresh.stores.has(VOICE_PACKS_STORE)) {
+    console.log('Test 2 PASS: New database gets current schema');
+    passed++;
+  } else {
+    console.log('Test 2 FAIL: Missing stores or indexes on new database');
+    failed++;
+  }
+
+  // Test 3: A v1 database full of sessions is upgraded in place
+  const legacy = new FakeDatabase();
+  await upgrade(legacy, 0, 1);
+  const legacySessions = legacy.stores.get(SESSIONS_STORE);
+  for (let i = 0; i < 200; i++) {
+    legacySessions.add({ timestamp: 1000 + i, n: 2 + (i % 3), accuracy: 0.8 });
+  }
+  legacySessions.add({ timestamp: 5000, n: 3, accuracy: 0.9, mode: 'dual', levelMetric: 'dPrime' });
+  legacy.stores.get(SETTINGS_STORE).add({ key: 'user-settings', value: { currentN: 3 } });
+
+  await upgrade(legacy, 1, DB_VERSION);
+  const upgraded = [...legacySessions.records.values()];
+  const dual = upgraded.find(s => s.timestamp === 5000);
+  const legacySettings = legacy.stores.get(SETTINGS_STORE).records;
+  if (upgraded.length === 201 && legacySessions.indexes.has('n')
+    && upgraded.every(s => s.mode && s.levelMetric && Number.isInteger(s.id))
+    && dual.mode === 'dual' && dual.levelMetric === 'dPrime'
+    && upgraded.every(s => s.profileId === DEFAULT_PROFILE_ID)
+    && !legacySettings.has('user-settings')
+    && legacySettings.get(settingsKey(DEFAULT_PROFILE_ID)).value.currentN === 3) {
+    console.log('Test 3 PASS: v1 sessions and settings are kept and moved to the default profile');
+    passed++;
+  } else {
+    console.log('Test 3 FAIL: v1 database not upgraded correctly');
+    failed++;
+  }
+
+  // Test 4: Only migrations newer than the stored version run
+  const ran = [];
+  const steps = [1, 2, 3].map(version => ({ version, upgrade: () => ran.push(version) }));
+  runMigrations(new FakeDatabase(), null, 1, steps);
+  if (ran.join(',') === '2,3') {
+    console.log('Test 4 PASS: Already applied migrations are skipped');
+    passed++;
+  } else {
+    console.log(`Test 4 FAIL: Ran migrations ${ran.join(',')}`);
+    failed++;
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('All tests passed!');
+  }
+
+  return failed === 0;
+}
+
+runTests();
@@ -1,14 +1,22 @@
+import { TIMING, BLOCK, SESSION_PLAN, LETTERS, AUDIO_BUSES } from '../utils/constants.js';
+import { createExport, selectNewSessions, mergeImportedSettings } from './export.js';
+import {
+  DB_VERSION, SESSIONS_STORE, SETTINGS_STORE, PROFILES_STORE, TRAINING_SESSIONS_STORE, VOICE_PACKS_STORE, DEFAULT_PROFILE_ID,
+  settingsKey, runMigrations
+} from './migrations.js';
+
 const DB_NAME = 'nback-db';
-const DB_VERSION = 1;
-const SESSIONS_STORE = 'sessions';
-const SETTINGS_STORE = 'settings';
+const ACTIVE_PROFILE_KEY = 'active-profile';
 
 /**
- * Storage class for persisting session history and settings using IndexedDB
+ * Storage class for persisting session history and settings using IndexedDB.
+ * Sessions and settings are scoped to the active profile.
  */
 export class Storage {
   constructor() {
     this.db = null;
+    this.profileId = DEFAULT_PROFILE_ID;
+    this._settingsWrite = Promise.resolve(); // Last queued settings save
   }
 
   /**
@@ -16,6 +24,20 @@ export class Storage {
    * @returns {Promise<void>}
    */
   async init() {
+    await this._open();
+
+    const saved = await this._getRecord(ACTIVE_PROFILE_KEY);
+    const profiles = await this.getProfiles();
+    if (saved && profiles.some(p => p.id === saved.value)) {
+      this.profileId = saved.value;
+    }
+  }
+
+  /**
+   * Open the database, running any pending migrations
+   * @returns {Promise<void>}
+   */
+  _open() {
     return new Promise((resolve, reject) => {
       const request = indexedDB.open(DB_NAME, DB_VERSION);
 
@@ -26,32 +48,20 @@ export class Storage {
 
       request.onsuccess = () => {
         this.db = request.result;
+        // Let a newer version open in another tab run its migrations
+        this.db.onversionchange = () => this.db.close();
         resolve();
       };
 
       request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-
-        // Create sessions store
-        if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
-          const sessionsStore = db.createObjectStore(SESSIONS_STORE, {
-            keyPath: 'id',
-            autoIncrement: true
-          });
-          sessionsStore.createIndex('timestamp', 'timestamp', { unique: false });
-        }
-
-        // Create settings store
-        if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
-          db.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
-        }
+        runMigrations(request.result, request.transaction, event.oldVersion);
       };
     });
   }
 
   /**
    * Save a completed session
-   * @param {object} sessionData - Session data to save
+   * @param {object} sessionData - Session data to save (includes the sequence `seed` so the block can be replayed)
    * @returns {Promise<number>} - Session ID
    */
   async saveSession(sessionData) {
@@ -61,6 +71,7 @@ export class Storage {
 
       const session = {
         ...sessionData,
+        profileId: this.profileId,
         timestamp: Date.now()
       };
 
@@ -72,7 +83,7 @@ export class Storage {
   }
 
   /**
-   * Get recent sessions
+   * Get recent sessions of the active profile
    * @param {number} limit - Maximum number of sessions to return
    * @returns {Promise<object[]>}
    */
@@ -80,10 +91,10 @@ export class Storage {
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction([SESSIONS_STORE], 'readonly');
       const store = transaction.objectStore(SESSIONS_STORE);
-      const index = store.index('timestamp');
+      const index = store.index('profileTimestamp');
 
       const sessions = [];
-      const request = index.openCursor(null, 'prev'); // Descending order
+      const request = index.openCursor(this._profileRange(), 'prev'); // Descending order
 
       request.onsuccess = (event) => {
         const cursor = event.target.result;
@@ -100,53 +111,318 @@ export class Storage {
   }
 
   /**
-   * Get user settings
+   * Get all sessions of the active profile within a time range, oldest first
+   * @param {number} [from] - Start timestamp in ms, inclusive (default: beginning of history)
+   * @param {number} [to] - End timestamp in ms, inclusive (default: now and later)
+   * @returns {Promise<object[]>}
+   */
+  async getSessionsInRange(from = -Infinity, to = Infinity) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([SESSIONS_STORE], 'readonly');
+      const store = transaction.objectStore(SESSIONS_STORE);
+      const request = store.index('profileTimestamp').getAll(this._profileRange(from, to));
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Find the latest block played with a seed whose generator parameters
+   * (matchRate, lureRates, timing) were recorded, so it can be replayed
+   * @param {number} seed
+   * @returns {Promise<object | null>}
+   */
+  async findSessionBySeed(seed) {
+    const sessions = await this.getSessionsInRange();
+    return sessions.findLast(s => s.seed === seed && Number.isFinite(s.matchRate)) ?? null;
+  }
+
+  /**
+   * Key range over the active profile's sessions on the profileTimestamp index
+   * @param {number} [from=-Infinity]
+   * @param {number} [to=Infinity]
+   * @returns {IDBKeyRange}
+   */
+  _profileRange(from = -Infinity, to = Infinity) {
+    return IDBKeyRange.bound([this.profileId, from], [this.profileId, to]);
+  }
+
+  /**
+   * Get the active profile's settings
    * @returns {Promise<object>}
    */
   async getSettings() {
+    const saved = await this._getRecord(settingsKey(this.profileId));
+    return { ...this.getDefaultSettings(), ...(saved?.value || {}) };
+  }
+
+  /**
+   * Read one record of the settings store
+   * @param {string} key
+   * @returns {Promise<object | undefined>}
+   */
+  _getRecord(key) {
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction([SETTINGS_STORE], 'readonly');
-      const store = transaction.objectStore(SETTINGS_STORE);
-      const request = store.get('user-settings');
+      const request = transaction.objectStore(SETTINGS_STORE).get(key);
 
-      request.onsuccess = () => {
-        const saved = request.result?.value || {};
-        resolve({ ...this.getDefaultSettings(), ...saved });
-      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Write one record of the settings store
+   * @param {string} key
+   * @param {*} value
+   * @returns {Promise<void>}
+   */
+  _putRecord(key, value) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([SETTINGS_STORE], 'readwrite');
+      const request = transaction.objectStore(SETTINGS_STORE).put({ key, value });
 
+      request.onsuccess = () => resolve();
       request.onerror = () => reject(request.error);
     });
   }
 
   /**
-   * Save user settings
+   * Save the active profile's settings. Saves are queued so one save's
+   * read-modify-write never interleaves with another's.
    * @param {object} settings - Settings to save
    * @returns {Promise<void>}
    */
-  async saveSettings(settings) {
-    const existing = await this.getSettings();
-    const merged = { ...existing, ...settings };
+  saveSettings(settings) {
+    const write = this._settingsWrite.then(async () => {
+      const existing = await this.getSettings();
+      await this._putRecord(settingsKey(this.profileId), { ...existing, ...settings });
+    });
+    this._settingsWrite = write.catch(() => {}); // A failed save doesn't block later ones
+    return write;
+  }
 
+  // ── Training sessions ──────────────────────────
+
+  /**
+   * Create the parent record of a session plan. Blocks saved with its
+   * `trainingSessionId` belong to it.
+   * @param {{ blocks: number, rest: number }} plan
+   * @returns {Promise<number>} - Training session ID
+   */
+  async createTrainingSession(plan) {
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([SETTINGS_STORE], 'readwrite');
-      const store = transaction.objectStore(SETTINGS_STORE);
+      const transaction = this.db.transaction([TRAINING_SESSIONS_STORE], 'readwrite');
+      const request = transaction.objectStore(TRAINING_SESSIONS_STORE).add({
+        profileId: this.profileId,
+        timestamp: Date.now(),
+        plan,
+        status: 'in-progress',
+        summary: null
+      });
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Merge changes into a training session record
+   * @param {number} id
+   * @param {object} changes
+   * @returns {Promise<void>}
+   */
+  async updateTrainingSession(id, changes) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([TRAINING_SESSIONS_STORE], 'readwrite');
+      const store = transaction.objectStore(TRAINING_SESSIONS_STORE);
+      const request = store.get(id);
+
+      request.onsuccess = () => {
+        if (request.result) store.put({ ...request.result, ...changes });
+      };
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get the block records of a training session, oldest first
+   * @param {number} id
+   * @returns {Promise<object[]>}
+   */
+  async getTrainingSessionBlocks(id) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([SESSIONS_STORE], 'readonly');
+      const request = transaction.objectStore(SESSIONS_STORE).index('trainingSessionId').getAll(id);
+
+      request.onsuccess = () => resolve(request.result.sort((a, b) => a.timestamp - b.timestamp));
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // ── Profiles ───────────────────────────────────
 
-      const request = store.put({
-        key: 'user-settings',
-        value: merged
+  /**
+   * Get all profiles, oldest first
+   * @returns {Promise<{ id: number, name: string, createdAt: number }[]>}
+   */
+  async getProfiles() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([PROFILES_STORE], 'readonly');
+      const request = transaction.objectStore(PROFILES_STORE).getAll();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Create a profile with default settings and an empty history
+   * @param {string} name
+   * @returns {Promise<number>} - Profile ID
+   */
+  async createProfile(name) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([PROFILES_STORE], 'readwrite');
+      const request = transaction.objectStore(PROFILES_STORE).add({
+        name: name.trim() || 'Player',
+        createdAt: Date.now()
       });
 
-      request.onsuccess = () => resolve();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Switch the active profile and remember it across launches
+   * @param {number} profileId
+   * @returns {Promise<void>}
+   */
+  async setActiveProfile(profileId) {
+    this.profileId = profileId;
+    await this._putRecord(ACTIVE_PROFILE_KEY, profileId);
+  }
+
+  // ── Voice packs ────────────────────────────────
+
+  /**
+   * Get the names of all recorded voice packs, without their audio
+   * @returns {Promise<{ id: number, name: string, createdAt: number }[]>}
+   */
+  async getVoicePacks() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([VOICE_PACKS_STORE], 'readonly');
+      const request = transaction.objectStore(VOICE_PACKS_STORE).getAll();
+
+      request.onsuccess = () => resolve(request.result.map(({ id, name, createdAt }) => ({ id, name, createdAt })));
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get one voice pack with its clips
+   * @param {number} id
+   * @returns {Promise<{ id: number, name: string, createdAt: number, sampleRate: number, clips: Object<string, Float32Array> } | null>}
+   */
+  async getVoicePack(id) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([VOICE_PACKS_STORE], 'readonly');
+      const request = transaction.objectStore(VOICE_PACKS_STORE).get(id);
+
+      request.onsuccess = () => resolve(request.result || null);
       request.onerror = () => reject(request.error);
     });
   }
 
   /**
-   * Get the best (highest) n-back level achieved
+   * Store a recorded voice pack. Voice packs are shared by all profiles.
+   * @param {{ name: string, sampleRate: number, clips: Object<string, Float32Array> }} pack - Mono samples per letter
+   * @returns {Promise<number>} - Voice pack ID
+   */
+  async saveVoicePack({ name, sampleRate, clips }) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([VOICE_PACKS_STORE], 'readwrite');
+      const request = transaction.objectStore(VOICE_PACKS_STORE).add({
+        name: name.trim() || 'My voice',
+        createdAt: Date.now(),
+        sampleRate,
+        clips
+      });
+
+      // Quota errors can surface when the transaction commits, after the add succeeded
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Voice pack was not saved'));
+    });
+  }
+
+  /**
+   * Delete a voice pack
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  async deleteVoicePack(id) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([VOICE_PACKS_STORE], 'readwrite');
+      transaction.objectStore(VOICE_PACKS_STORE).delete(id);
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Read the active profile's sessions and settings into a versioned export document
+   * @returns {Promise<object>}
+   */
+  async exportData() {
+    const sessions = (await this.getSessionsInRange()).map(({ profileId, ...session }) => session);
+    const saved = await this._getRecord(settingsKey(this.profileId));
+    const settings = saved ? [{ key: 'user-settings', value: saved.value }] : [];
+    return createExport({ sessions, settings });
+  }
+
+  /**
+   * Merge a parsed export into the active profile.
+   * Sessions already present (same timestamp) are skipped; imported settings
+   * override the stored values key by key, except device-local ones.
+   * @param {{ sessions: object[], settings: object[] }} data - Output of parseExport()
+   * @returns {Promise<{ added: number, skipped: number }>}
+   */
+  async importData({ sessions, settings }) {
+    const existing = await this.getSessionsInRange();
+    const added = selectNewSessions(existing, sessions);
+    const imported = settings.find(record => record.key === 'user-settings');
+    const current = imported ? await this.getSettings() : null;
+
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([SESSIONS_STORE, SETTINGS_STORE], 'readwrite');
+      const sessionsStore = transaction.objectStore(SESSIONS_STORE);
+
+      added.forEach(session => sessionsStore.add({ ...session, profileId: this.profileId }));
+      if (imported) {
+        transaction.objectStore(SETTINGS_STORE).put({
+          key: settingsKey(this.profileId),
+          value: mergeImportedSettings(current, imported.value)
+        });
+      }
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    return { added: added.length, skipped: sessions.length - added.length };
+  }
+
+  /**
+   * Get the best (highest) n-back level achieved by the active profile
    * @returns {Promise<number>}
    */
   async getBestLevel() {
-    const sessions = await this.getSessions(100); // Get more sessions to find the best
+    const sessions = await this.getSessionsInRange(); // Full history
     if (sessions.length === 0) {
       return 2; // Default starting level
     }
@@ -161,7 +437,7 @@ export class Storage {
   }
 
   /**
-   * Get the last played n-back level
+   * Get the last played n-back level of the active profile
    * @returns {Promise<number>}
    */
   async getLastLevel() {
@@ -182,7 +458,27 @@ export class Storage {
       soundEnabled: true,
       vibrationEnabled: true,
       feedbackSoundsEnabled: true,
-      adaptiveDifficulty: true
+      stimulusVolume: AUDIO_BUSES.stimulus.defaultVolume,
+      feedbackVolume: AUDIO_BUSES.feedback.defaultVolume,
+      uiVolume: AUDIO_BUSES.ui.defaultVolume,
+      adaptiveDifficulty: true,
+      dualMode: false,
+      lureRates: { ...BLOCK.LURE_RATES },
+      spatialMode: false,
+      stimulusSet: 'letters',
+      customLetters: [...LETTERS],
+      voicePackId: null,
+      levelMetric: 'accuracy',
+      progressionPolicy: 'threshold',
+      subLevel: 0,
+      trialCountMode: 'fixed',
+      trialBase: BLOCK.BASE_TRIALS,
+      trialsPerN: BLOCK.TRIALS_PER_N,
+      planBlocks: 0,
+      planRest: SESSION_PLAN.REST_SECONDS,
+      isi: TIMING.ISI,
+      responseWindow: TIMING.RESPONSE_WINDOW,
+      isiJitter: TIMING.ISI_JITTER
     };
   }
 }
@@ -0,0 +1,60 @@
+/**
+ * Minimal inline SVG line charts (no external chart library)
+ */
+
+const WIDTH = 320;
+const HEIGHT = 160;
+const PADDING = { top: 10, right: 10, bottom: 20, left: 30 };
+
+/**
+ * Render a line chart as an SVG string
+ * @param {object} options
+ * @param {{ values: number[], className: string, dots?: boolean, line?: boolean }[]} options.series - Series sharing the x axis
+ * @param {number[]} [options.xValues] - X value of each point, e.g. a timestamp (default: the point's index)
+ * @param {number} options.yMin
+ * @param {number} options.yMax
+ * @param {number[]} options.yTicks - Values to draw grid lines and labels at
+ * @param {(value: number) => string} [options.formatY] - Tick label formatter
+ * @param {string[]} [options.xLabels] - Labels for the first and last point
+ * @returns {string}
+ */
+export function renderLineChart({ series, xValues, yMin, yMax, yTicks, formatY = String, xLabels = [] }) {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const count = Math.max(...series.map(s => s.values.length), 1);
+  const xs = xValues ?? Array.from({ length: count }, (_, i) => i);
+  const xMin = Math.min(...xs);
+  const xRange = Math.max(...xs) - xMin;
+
+  const x = (i) => PADDING.left + (xRange > 0 ? ((xs[i] - xMin) / xRange) * plotWidth : plotWidth / 2);
+  const y = (value) => PADDING.top + (1 - (value - yMin) / (yMax - yMin || 1)) * plotHeight;
+
+  const grid = yTicks.map(tick => `
+    <line class="chart-grid" x1="${PADDING.left}" x2="${WIDTH - PADDING.right}" y1="${y(tick)}" y2="${y(tick)}" />
+    <text class="chart-label" x="${PADDING.left - 6}" y="${y(tick) + 3}" text-anchor="end">${formatY(tick)}</text>
+  `).join('');
+
+  const xAxis = xLabels.length > 0 ? `
+    <text class="chart-label" x="${PADDING.left}" y="${HEIGHT - 4}" text-anchor="start">${xLabels[0]}</text>
+    <text class="chart-label" x="${WIDTH - PADDING.right}" y="${HEIGHT - 4}" text-anchor="end">${xLabels[xLabels.length - 1]}</text>
+  ` : '';
+
+  const lines = series.map(({ values, className, dots = false, line = true }) => {
+    const points = values.map((value, i) => `${x(i).toFixed(1)},${y(value).toFixed(1)}`);
+    const path = line && values.length > 1
+      ? `<polyline class="chart-line ${className}" points="${points.join(' ')}" />`
+      : '';
+    const circles = dots || values.length === 1
+      ? values.map((value, i) => `<circle class="chart-dot ${className}" cx="${x(i).toFixed(1)}" cy="${y(value).toFixed(1)}" r="2.5" />`).join('')
+      : '';
+    return path + circles;
+  }).join('');
+
+  return `
+    <svg class="chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" preserveAspectRatio="none" role="img">
+      ${grid}
+      ${xAxis}
+      ${lines}
+    </svg>
+  `;
+}
@@ -1,4 +1,15 @@
-import { TIMING } from '../../utils/constants.js';
+import { TIMING, MODES, POSITIONS } from '../../utils/constants.js';
+
+// Zone of the second response button in each two-stream mode
+const SECOND_STREAMS = {
+  [MODES.DUAL]: { channel: 'position', label: 'Position', key: 'A' },
+  [MODES.SPATIAL]: { channel: 'location', label: 'Location', key: 'S' }
+};
+
+const MODE_PREFIXES = {
+  [MODES.DUAL]: 'Dual ',
+  [MODES.SPATIAL]: 'Spatial '
+};
 
 /**
  * Game screen - minimal visual with progress indicator
@@ -9,12 +20,14 @@ export class GameScreen {
    * @param {object} options
    * @param {number} options.n - Current N level
    * @param {number} options.totalTrials - Total trials in block
+   * @param {'single' | 'dual' | 'spatial'} options.mode - Game mode (dual adds the position grid, spatial a location button)
    * @param {function} options.onPause - Callback when pause is pressed
    * @param {function} options.onExit - Callback when exit is pressed from pause menu
    */
-  constructor({ n, totalTrials, onPause, onExit }) {
+  constructor({ n, totalTrials, mode = MODES.SINGLE, onPause, onExit }) {
     this.n = n;
     this.totalTrials = totalTrials;
+    this.mode = mode;
     this.currentTrial = 0;
     this.onPause = onPause;
     this.onExit = onExit;
@@ -23,19 +36,47 @@ export class GameScreen {
     this._timerStart = 0;
     this._pausedDuration = 0;
     this._trialStart = 0;
+    this._trialDuration = TIMING.ISI;
     this._trialPausedDuration = 0;
     this._lastElapsed = 0;
     this._lastTrialElapsed = 0;
     this._rafId = null;
     this._timerRunning = false;
     this._hideTimeout = null;
+    this._positionTimeout = null;
   }
 
   render() {
+    const isDual = this.mode === MODES.DUAL;
+    const secondStream = SECOND_STREAMS[this.mode];
+
+    const grid = isDual ? `
+      <div class="position-grid" id="position-grid">
+        ${POSITIONS.map(p => `<div class="grid-cell" data-position="${p}"></div>`).join('')}
+      </div>
+    ` : '';
+
+    const footer = secondStream ? `
+        <div class="game-footer dual">
+          <div class="channel-zone" data-channel="${secondStream.channel}">
+            <span class="channel-label">${secondStream.label}</span>
+            <span class="channel-key">${secondStream.key}</span>
+          </div>
+          <div class="channel-zone" data-channel="audio">
+            <span class="channel-label">Sound</span>
+            <span class="channel-key">L</span>
+          </div>
+        </div>
+    ` : `
+        <div class="game-footer">
+          <p class="game-hint">Tap anywhere for match</p>
+        </div>
+    `;
+
     return `
       <div class="screen game-screen">
         <div class="game-header">
-          <span class="level-indicator">${this.n}-back</span>
+          <span class="level-indicator">${MODE_PREFIXES[this.mode] || ''}${this.n}-back</span>
           <button class="pause-btn" id="pause-btn" aria-label="Pause">
             <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
               <rect x="3" y="2" width="3.5" height="12" rx="1" fill="currentColor"/>
@@ -44,10 +85,13 @@ export class GameScreen {
           </button>
         </div>
 
+        <p class="audio-notice" id="audio-notice" hidden></p>
+
         <div class="game-content">
           <div class="tap-zone">
             <div class="game-center">
               <span class="game-timer" id="game-timer">00:00.00</span>
+              ${grid}
               <div class="progress-ring">
                 <svg viewBox="0 0 100 100">
                   <circle class="progress-bg" cx="50" cy="50" r="45" />
@@ -63,9 +107,7 @@ export class GameScreen {
           </div>
         </div>
 
-        <div class="game-footer">
-          <p class="game-hint">Tap anywhere for match</p>
-        </div>
+        ${footer}
       </div>
     `;
   }
@@ -150,8 +192,14 @@ export class GameScreen {
     }
   }
 
-  resetTrialArc() {
-    this._trialStart = Date.now();
+  /**
+   * Restart the per-trial arc
+   * @param {number} [startTime] - Epoch ms the trial started at (default now), e.g. the scheduled onset
+   * @param {number} [duration] - Time until the next onset in ms (default TIMING.ISI)
+   */
+  resetTrialArc(startTime = Date.now(), duration = TIMING.ISI) {
+    this._trialStart = startTime;
+    this._trialDuration = duration;
     this._trialPausedDuration = 0;
     this._lastTrialElapsed = 0;
   }
@@ -180,7 +228,7 @@ export class GameScreen {
   }
 
   _updateTrialArc() {
-    const progress = Math.min(1, Math.max(0, this._lastTrialElapsed / TIMING.ISI));
+    const progress = Math.min(1, Math.max(0, this._lastTrialElapsed / this._trialDuration));
     const circumference = 2 * Math.PI * 49;
 
     const arc = document.getElementById('trial-arc');
@@ -196,6 +244,43 @@ export class GameScreen {
 
   cleanup() {
     this.stopTimer();
+    this.clearPosition();
+  }
+
+  /**
+   * Tell the user which sounds failed to load and how they are replaced
+   * @param {string} message
+   */
+  showAudioNotice(message) {
+    const notice = document.getElementById('audio-notice');
+    if (!notice) return;
+    notice.textContent = message;
+    notice.hidden = false;
+  }
+
+  // ── Position grid ──────────────────────────────
+
+  /**
+   * Light up a grid cell for the position stream
+   * @param {number} position - Cell index (0-8, row-major)
+   */
+  showPosition(position) {
+    this.clearPosition();
+    const cell = document.querySelector(`.grid-cell[data-position="${position}"]`);
+    if (!cell) return;
+    cell.classList.add('lit');
+    this._positionTimeout = setTimeout(() => this.clearPosition(), TIMING.POSITION_DISPLAY);
+  }
+
+  /**
+   * Turn off any lit grid cell
+   */
+  clearPosition() {
+    if (this._positionTimeout) {
+      clearTimeout(this._positionTimeout);
+      this._positionTimeout = null;
+    }
+    document.querySelectorAll('.grid-cell.lit').forEach(cell => cell.classList.remove('lit'));
   }
 
   // ── Pause overlay ──────────────────────────────
@@ -290,10 +375,19 @@ export class GameScreen {
 
   /**
    * Show visual feedback that a tap was registered
+   * @param {string} [channel] - Response channel, highlights its zone in dual and spatial mode
    */
-  showTapFeedback() {
+  showTapFeedback(channel) {
     const screen = document.querySelector('.game-screen');
     if (!screen) return;
+    const secondStream = SECOND_STREAMS[this.mode];
+    if (secondStream) {
+      // Either second-stream key (A or S) answers this mode's second stream, as the engine scores it
+      const zoneChannel = channel === 'audio' ? 'audio' : secondStream.channel;
+      const zone = screen.querySelector(`.channel-zone[data-channel="${zoneChannel}"]`);
+      if (zone) zone.classList.add('pressed');
+      return;
+    }
     screen.classList.add('pressed');
   }
 
@@ -304,5 +398,6 @@ export class GameScreen {
     const screen = document.querySelector('.game-screen');
     if (!screen) return;
     screen.classList.remove('pressed');
+    screen.querySelectorAll('.channel-zone.pressed').forEach(zone => zone.classList.remove('pressed'));
   }
 }
@@ -0,0 +1,491 @@
+import { LURE_TYPES, STIMULUS_SETS } from '../../utils/constants.js';
+import { parseExport, sessionsToCsv } from '../../storage/export.js';
+
+const MODALITY_LABELS = {
+  audio: 'Sound',
+  position: 'Position',
+  location: 'Location'
+};
+
+const MODE_MARKS = {
+  dual: 'D',
+  spatial: 'S'
+};
+
+const MODE_TITLES = {
+  dual: 'Dual ',
+  spatial: 'Spatial '
+};
+
+/**
+ * History screen - past blocks grouped by day, with a detail view per block
+ */
+export class HistoryScreen {
+  /**
+   * @param {object} options
+   * @param {import('../../storage/storage.js').Storage} options.storage - Storage instance
+   * @param {function} options.onBack - Callback when back is pressed
+   * @param {function} options.onProgress - Callback when the progress button is pressed
+   */
+  constructor({ storage, onBack, onProgress }) {
+    this.storage = storage;
+    this.onBack = onBack;
+    this.onProgress = onProgress;
+    this.sessions = [];
+    this._hideTimeout = null;
+  }
+
+  render() {
+    return `
+      <div class="screen history-screen">
+        <div class="history-header">
+          <button class="back-btn" id="back-btn" aria-label="Back">
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+              <path d="M10 3L5 8L10 13" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+            </svg>
+          </button>
+          <h2>History</h2>
+          <button class="back-btn progress-btn" id="progress-btn" aria-label="Progress">
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+              <path d="M2 13L6 8L9 10L14 3" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+            </svg>
+          </button>
+        </div>
+
+        <div class="history-list" id="history-list">
+          <p class="history-empty">Loading…</p>
+        </div>
+
+        <div class="history-data">
+          <div class="history-data-actions">
+            <button class="data-btn" data-export="json">Export JSON</button>
+            <button class="data-btn" data-export="csv">Export CSV</button>
+            <button class="data-btn" data-export="csv-trials">CSV per trial</button>
+            <button class="data-btn" id="import-btn">Import</button>
+          </div>
+          <input type="file" id="import-input" accept=".json,application/json" hidden>
+          <p class="history-data-status" id="data-status" role="status"></p>
+        </div>
+      </div>
+    `;
+  }
+
+  async init() {
+    document.getElementById('back-btn').addEventListener('click', () => {
+      if (this.onBack) {
+        this.onBack();
+      }
+    });
+
+    document.getElementById('progress-btn').addEventListener('click', () => {
+      if (this.onProgress) {
+        this.onProgress();
+      }
+    });
+
+    document.querySelectorAll('[data-export]').forEach(btn => {
+      btn.addEventListener('click', () => this.exportHistory(btn.dataset.export));
+    });
+
+    const importInput = document.getElementById('import-input');
+    document.getElementById('import-btn').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+      const [file] = importInput.files;
+      importInput.value = '';
+      if (file) this.importHistory(file);
+    });
+
+    this._keyHandler = (e) => {
+      if (e.key !== 'Escape') return;
+      if (document.getElementById('block-detail-overlay')) {
+        this.hideDetail();
+      } else if (this.onBack) {
+        this.onBack();
+      }
+    };
+    document.addEventListener('keydown', this._keyHandler);
+
+    await this.loadSessions();
+  }
+
+  /**
+   * Load all sessions and render the grouped list
+   */
+  async loadSessions() {
+    this.sessions = await this.storage.getSessions(Infinity);
+
+    const list = document.getElementById('history-list');
+    if (!list) return; // Screen was left while loading
+    list.innerHTML = this.renderGroups();
+
+    list.querySelectorAll('.history-row').forEach(row => {
+      row.addEventListener('click', () => {
+        const session = this.sessions.find(s => s.id === Number(row.dataset.id));
+        if (session) this.showDetail(session);
+      });
+    });
+  }
+
+  /**
+   * Render sessions grouped by calendar day, newest first
+   * @returns {string}
+   */
+  renderGroups() {
+    if (this.sessions.length === 0) {
+      return '<p class="history-empty">No blocks played yet</p>';
+    }
+
+    const groups = new Map();
+    for (const session of this.sessions) {
+      const day = new Date(session.timestamp).toDateString();
+      if (!groups.has(day)) groups.set(day, []);
+      groups.get(day).push(session);
+    }
+
+    return [...groups.values()].map(sessions => `
+      <section class="history-day">
+        <h3 class="history-day-label">${formatDay(sessions[0].timestamp)}</h3>
+        ${sessions.map(session => this.renderRow(session)).join('')}
+      </section>
+    `).join('');
+  }
+
+  /**
+   * Render one block summary row
+   * @param {object} session
+   * @returns {string}
+   */
+  renderRow(session) {
+    const accuracy = Math.round(session.accuracy * 100);
+    return `
+      <button class="history-row" data-id="${session.id}">
+        <span class="history-time">${formatTime(session.timestamp)}</span>
+        <span class="history-level">${MODE_MARKS[session.mode] || ''}${session.n}-back</span>
+        <span class="history-accuracy" style="color: ${accuracyColor(accuracy)}">${accuracy}%</span>
+        <span class="history-counts">
+          <span class="hit">${formatCount(session.hits)}</span>/<span class="miss">${formatCount(session.misses)}</span>/<span class="false-alarm">${formatCount(session.falseAlarms)}</span>
+        </span>
+        ${renderLevelChange(session)}
+      </button>
+    `;
+  }
+
+  // ── Export / import ────────────────────────────
+
+  /**
+   * Download the full history
+   * @param {'json' | 'csv' | 'csv-trials'} format
+   */
+  async exportHistory(format) {
+    const data = await this.storage.exportData();
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (format === 'json') {
+      downloadFile(`nback-${date}.json`, JSON.stringify(data, null, 2), 'application/json');
+    } else {
+      const perTrial = format === 'csv-trials';
+      downloadFile(
+        `nback-${perTrial ? 'trials' : 'blocks'}-${date}.csv`,
+        sessionsToCsv(data.sessions, { perTrial }),
+        'text/csv'
+      );
+    }
+  }
+
+  /**
+   * Validate and merge an export file into the database
+   * @param {File} file
+   */
+  async importHistory(file) {
+    let result;
+    try {
+      const data = parseExport(await file.text());
+      result = await this.storage.importData(data);
+    } catch (err) {
+      this.setDataStatus(`Import failed: ${err.message}`, true);
+      return;
+    }
+
+    this.setDataStatus(`Imported ${result.added} block${result.added === 1 ? '' : 's'}`
+      + (result.skipped > 0 ? `, ${result.skipped} already present` : ''));
+    await this.loadSessions();
+  }
+
+  /**
+   * @param {string} message
+   * @param {boolean} [isError=false]
+   */
+  setDataStatus(message, isError = false) {
+    const status = document.getElementById('data-status');
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
+  // ── Block detail overlay ───────────────────────
+
+  /**
+   * Show the full details of one block
+   * @param {object} session
+   */
+  showDetail(session) {
+    this._cleanupDetailOverlay();
+
+    const screen = document.querySelector('.history-screen');
+    if (!screen) return;
+
+    const accuracy = Math.round(session.accuracy * 100);
+    const overlay = document.createElement('div');
+    overlay.className = 'settings-overlay';
+    overlay.id = 'block-detail-overlay';
+    overlay.innerHTML = `
+      <div class="settings-panel block-detail">
+        <div class="settings-header">
+          <h2>${MODE_TITLES[session.mode] || ''}${session.n}-back</h2>
+          <button class="settings-close-btn" aria-label="Close">
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+              <path d="M4 4L12 12M12 4L4 12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+            </svg>
+          </button>
+        </div>
+
+        <p class="block-detail-date">${new Date(session.timestamp).toLocaleString()}</p>
+
+        <dl class="block-detail-list">
+          ${detailRow('Accuracy', `<span style="color: ${accuracyColor(accuracy)}">${accuracy}%</span>`)}
+          ${detailRow('Level change', renderLevelChange(session) || '—')}
+          ${session.progressionPolicy === 'staircase' ? detailRow('Difficulty',
+            `${(session.n + (session.subLevel ?? 0)).toFixed(2)} → ${((session.nextLevel ?? session.n) + (session.nextSubLevel ?? 0)).toFixed(2)}`) : ''}
+          ${detailRow('Trials', formatCount(session.trialCount))}
+          ${session.undelivered ? detailRow('Not delivered', `${session.undelivered} (not scored)`) : ''}
+          ${session.stimulusSet ? detailRow('Stimuli', renderStimulusSet(session)) : ''}
+          ${detailRow('Hits', formatCount(session.hits))}
+          ${detailRow('Misses', formatCount(session.misses))}
+          ${detailRow('False alarms', formatCount(session.falseAlarms))}
+          ${detailRow('Correct rejections', formatCount(session.correctRejections))}
+          ${[session.dPrime, session.criterion, session.aPrime].every(Number.isFinite) ? detailRow('d′ / c / A′',
+            `${session.dPrime.toFixed(2)} / ${session.criterion.toFixed(2)} / ${session.aPrime.toFixed(2)}`) : ''}
+          ${renderModalityRows(session.modalities)}
+          ${renderLureRows(session.lures)}
+          ${renderReactionTimeRows(session.reactionTimes)}
+          ${renderSequenceQualityRows(session.sequenceQuality)}
+          ${session.timing ? detailRow('Interval / window',
+            `${session.timing.isi} / ${session.timing.responseWindow} ms${session.timing.isiJitter ? ` ±${session.timing.isiJitter}` : ''}`) : ''}
+          ${session.seed !== undefined ? detailRow('Seed', session.seed) : ''}
+        </dl>
+
+        ${renderTrialStrip(session.trials)}
+      </div>
+    `;
+
+    overlay.querySelector('.settings-close-btn').addEventListener('click', () => {
+      this.hideDetail();
+    });
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this.hideDetail();
+    });
+
+    screen.appendChild(overlay);
+  }
+
+  hideDetail() {
+    const overlay = document.getElementById('block-detail-overlay');
+    if (!overlay) return;
+    overlay.classList.add('exiting');
+    let called = false;
+    const done = () => {
+      if (called) return;
+      called = true;
+      this._hideTimeout = null;
+      if (overlay.parentNode) overlay.remove();
+    };
+    overlay.addEventListener('animationend', done, { once: true });
+    this._hideTimeout = setTimeout(done, 250);
+  }
+
+  _cleanupDetailOverlay() {
+    if (this._hideTimeout) {
+      clearTimeout(this._hideTimeout);
+      this._hideTimeout = null;
+    }
+    const existing = document.getElementById('block-detail-overlay');
+    if (existing) existing.remove();
+  }
+
+  cleanup() {
+    if (this._keyHandler) {
+      document.removeEventListener('keydown', this._keyHandler);
+    }
+    this._cleanupDetailOverlay();
+  }
+}
+
+/**
+ * Offer text content as a file download
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * "Today", "Yesterday" or a short date
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatDay(timestamp) {
+  const date = new Date(timestamp);
+  const today = new Date();
+  const yesterday = new Date();
+  yesterday.setDate(today.getDate() - 1);
+
+  if (date.toDateString() === today.toDateString()) return 'Today';
+  if (date.toDateString() === yesterday.toDateString()) return 'Yesterday';
+  return date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Same colour bands as the results screen
+ * @param {number} accuracy - Percentage
+ * @returns {string}
+ */
+function accuracyColor(accuracy) {
+  return accuracy >= 85 ? 'var(--success)' : accuracy >= 70 ? 'var(--accent)' : 'var(--error)';
+}
+
+/**
+ * @param {object} session
+ * @returns {string}
+ */
+function renderLevelChange(session) {
+  const change = (session.nextLevel ?? session.n) - session.n;
+  if (change > 0) return `<span class="history-change level-up">▲ ${session.nextLevel}</span>`;
+  if (change < 0) return `<span class="history-change level-down">▼ ${session.nextLevel}</span>`;
+  return '<span class="history-change level-same">=</span>';
+}
+
+/**
+ * @param {string} label
+ * @param {string | number} value
+ * @returns {string}
+ */
+function detailRow(label, value) {
+  return `<dt>${label}</dt><dd>${value}</dd>`;
+}
+
+/**
+ * A stored count, or a dash when an older or imported block lacks it
+ * @param {number} [value]
+ * @returns {string | number}
+ */
+function formatCount(value) {
+  return Number.isFinite(value) ? value : '—';
+}
+
+/**
+ * @param {object} [modalities]
+ * @returns {string}
+ */
+function renderModalityRows(modalities) {
+  const entries = Object.entries(modalities || {});
+  if (entries.length < 2) return '';
+  return entries.map(([name, r]) => detailRow(
+    MODALITY_LABELS[name] || escapeHtml(name),
+    `${Number.isFinite(r.accuracy) ? `${Math.round(r.accuracy * 100)}%` : '—'} · ${formatCount(r.hits)}/${formatCount(r.misses)}/${formatCount(r.falseAlarms)}`
+  )).join('');
+}
+
+/**
+ * @param {object} [lures]
+ * @returns {string}
+ */
+function renderLureRows(lures) {
+  if (!lures) return '';
+  return LURE_TYPES
+    .filter(type => lures[type] && lures[type].trials > 0)
+    .map(type => detailRow(`${type} lure FAs`, `${lures[type].falseAlarms}/${lures[type].trials}`))
+    .join('');
+}
+
+/**
+ * @param {object} [reactionTimes]
+ * @returns {string}
+ */
+function renderReactionTimeRows(reactionTimes) {
+  if (!reactionTimes) return '';
+  return [['hit', 'Hit RT'], ['false-alarm', 'False alarm RT']]
+    .filter(([outcome]) => reactionTimes[outcome])
+    .map(([outcome, label]) => detailRow(
+      label,
+      `${Math.round(reactionTimes[outcome].mean)} / ${Math.round(reactionTimes[outcome].median)} ms`
+    ))
+    .join('');
+}
+
+/**
+ * Stimulus set label, listing the letters of a custom set
+ * @param {object} session
+ * @returns {string}
+ */
+function renderStimulusSet(session) {
+  const label = STIMULUS_SETS[session.stimulusSet]?.label ?? escapeHtml(String(session.stimulusSet));
+  return session.stimulusSet === 'custom' ? `${label} (${escapeHtml((session.stimuli || []).join(' '))})` : label;
+}
+
+/**
+ * Generator quality of the block's sequence, one row per modality
+ * @param {object} [quality] - Output of summarizeSequenceQuality()
+ * @returns {string}
+ */
+function renderSequenceQualityRows(quality) {
+  if (!quality) return '';
+  return Object.entries(quality)
+    .map(([modality, stream]) => {
+      const lures = Object.values(stream.lures || {}).reduce((sum, count) => sum + count, 0);
+      const accidental = stream.accidentalLures ? ` (${stream.accidentalLures} accidental)` : '';
+      return detailRow(
+        `${MODALITY_LABELS[modality] || escapeHtml(modality)} sequence`,
+        `${Math.round(stream.matchRate * 100)}% matches · ${lures} lures${accidental} · run ${stream.longestRun}`
+      );
+    })
+    .join('');
+}
+
+/**
+ * One cell per trial showing the letter and the audio outcome
+ * @param {object[]} [trials]
+ * @returns {string}
+ */
+function renderTrialStrip(trials) {
+  if (!trials || trials.length === 0) return '';
+  const cells = trials.map(trial => {
+    const outcome = escapeHtml(trial.delivered === false ? 'undelivered' : trial.responses?.audio?.outcome || '');
+    return `<span class="trial-cell ${outcome}" title="${outcome}">${escapeHtml(String(trial.letter ?? ''))}</span>`;
+  }).join('');
+  return `<div class="trial-strip">${cells}</div>`;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
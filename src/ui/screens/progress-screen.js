@@ -0,0 +1,150 @@
+import { ADAPTIVE } from '../../utils/constants.js';
+import { aggregateByDay, movingAverage } from '../../game/progress.js';
+import { renderLineChart } from '../charts.js';
+
+const RANGES = [
+  { key: '30', label: '30 days', days: 30 },
+  { key: '90', label: '90 days', days: 90 },
+  { key: 'all', label: 'All', days: null }
+];
+
+const MOVING_AVERAGE_WINDOW = 10; // Blocks
+
+/**
+ * Progress screen - n-level per day and accuracy per block over time
+ */
+export class ProgressScreen {
+  /**
+   * @param {object} options
+   * @param {import('../../storage/storage.js').Storage} options.storage - Storage instance
+   * @param {function} options.onBack - Callback when back is pressed
+   */
+  constructor({ storage, onBack }) {
+    this.storage = storage;
+    this.onBack = onBack;
+    this.range = RANGES[0].key;
+  }
+
+  render() {
+    return `
+      <div class="screen history-screen progress-screen">
+        <div class="history-header">
+          <button class="back-btn" id="back-btn" aria-label="Back">
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+              <path d="M10 3L5 8L10 13" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+            </svg>
+          </button>
+          <h2>Progress</h2>
+        </div>
+
+        <div class="range-selector" id="range-selector">
+          ${RANGES.map(r => `
+            <button class="range-btn ${r.key === this.range ? 'active' : ''}" data-range="${r.key}">${r.label}</button>
+          `).join('')}
+        </div>
+
+        <div class="history-list" id="progress-charts">
+          <p class="history-empty">Loading…</p>
+        </div>
+      </div>
+    `;
+  }
+
+  init() {
+    document.getElementById('back-btn').addEventListener('click', () => {
+      if (this.onBack) {
+        this.onBack();
+      }
+    });
+
+    document.querySelectorAll('.range-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.range = btn.dataset.range;
+        document.querySelectorAll('.range-btn').forEach(b => {
+          b.classList.toggle('active', b === btn);
+        });
+        this.loadCharts();
+      });
+    });
+
+    this._keyHandler = (e) => {
+      if (e.key === 'Escape' && this.onBack) {
+        this.onBack();
+      }
+    };
+    document.addEventListener('keydown', this._keyHandler);
+
+    this.loadCharts();
+  }
+
+  /**
+   * Query the selected date range and redraw the charts
+   */
+  async loadCharts() {
+    const { days } = RANGES.find(r => r.key === this.range);
+    const from = days === null ? undefined : Date.now() - days * 24 * 60 * 60 * 1000;
+    const sessions = await this.storage.getSessionsInRange(from);
+
+    const container = document.getElementById('progress-charts');
+    if (!container) return; // Screen was left while loading
+
+    if (sessions.length === 0) {
+      container.innerHTML = '<p class="history-empty">No blocks in this period</p>';
+      return;
+    }
+
+    const daily = aggregateByDay(sessions);
+    const accuracy = sessions.map(s => s.accuracy * 100);
+    const dayLabel = (timestamp) => new Date(timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    const levelTicks = [];
+    const maxN = Math.max(...daily.map(d => d.maxN));
+    for (let n = ADAPTIVE.MIN_N; n <= maxN + 1; n++) levelTicks.push(n);
+
+    container.innerHTML = `
+      <section class="chart-section">
+        <h3 class="history-day-label">N level per day</h3>
+        ${renderLineChart({
+          series: [
+            { values: daily.map(d => d.maxN), className: 'series-max', dots: true },
+            { values: daily.map(d => d.avgN), className: 'series-avg', dots: true }
+          ],
+          xValues: daily.map(d => new Date(d.timestamp).setHours(0, 0, 0, 0)), // Days evenly spaced by date
+          yMin: ADAPTIVE.MIN_N,
+          yMax: maxN + 1,
+          yTicks: levelTicks,
+          xLabels: [dayLabel(daily[0].timestamp), dayLabel(daily[daily.length - 1].timestamp)]
+        })}
+        <div class="chart-legend">
+          <span class="legend-item series-max">Max</span>
+          <span class="legend-item series-avg">Average</span>
+        </div>
+      </section>
+
+      <section class="chart-section">
+        <h3 class="history-day-label">Accuracy per block</h3>
+        ${renderLineChart({
+          series: [
+            { values: accuracy, className: 'series-accuracy', dots: true, line: false },
+            { values: movingAverage(accuracy, MOVING_AVERAGE_WINDOW), className: 'series-trend' }
+          ],
+          xValues: sessions.map(s => s.timestamp),
+          yMin: 0,
+          yMax: 100,
+          yTicks: [0, 50, 70, 85, 100],
+          formatY: (v) => `${v}%`,
+          xLabels: [dayLabel(sessions[0].timestamp), dayLabel(sessions[sessions.length - 1].timestamp)]
+        })}
+        <div class="chart-legend">
+          <span class="legend-item series-accuracy">Block</span>
+          <span class="legend-item series-trend">${MOVING_AVERAGE_WINDOW}-block average</span>
+        </div>
+      </section>
+    `;
+  }
+
+  cleanup() {
+    if (this._keyHandler) {
+      document.removeEventListener('keydown', this._keyHandler);
+    }
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Rest screen - countdown between the blocks of a session plan
+ */
+export class RestScreen {
+  /**
+   * @param {object} options
+   * @param {number} options.blockNumber - Blocks completed so far
+   * @param {number} options.totalBlocks - Blocks in the plan
+   * @param {object} options.results - Results of the block just played
+   * @param {number} options.currentN - N level of the block just played
+   * @param {number} options.nextLevel - N level of the next block
+   * @param {number} options.restSeconds - Countdown length
+   * @param {boolean} options.feedbackOff - Hide accuracy
+   * @param {function} options.onNext - Callback when the countdown ends or start is pressed
+   * @param {function} options.onEnd - Callback when the session is ended early
+   */
+  constructor({ blockNumber, totalBlocks, results, currentN, nextLevel, restSeconds, feedbackOff = false, onNext, onEnd }) {
+    this.blockNumber = blockNumber;
+    this.totalBlocks = totalBlocks;
+    this.results = results;
+    this.currentN = currentN;
+    this.nextLevel = nextLevel;
+    this.remaining = restSeconds;
+    this.feedbackOff = feedbackOff;
+    this.onNext = onNext;
+    this.onEnd = onEnd;
+    this._interval = null;
+    this._done = false;
+  }
+
+  render() {
+    const accuracy = Math.round(this.results.accuracy * 100);
+    const accuracyColor = accuracy >= 85 ? 'var(--success)' : accuracy >= 70 ? 'var(--accent)' : 'var(--error)';
+    const levelChange = this.nextLevel - this.currentN;
+    const levelClass = levelChange > 0 ? 'level-up' : levelChange < 0 ? 'level-down' : 'level-same';
+
+    return `
+      <div class="screen results-screen rest-screen">
+        <h2>Block ${this.blockNumber} of ${this.totalBlocks} Complete</h2>
+
+        ${this.feedbackOff ? '' : `
+          <div class="accuracy-display">
+            <span class="accuracy-value" style="color: ${accuracyColor}">${accuracy}%</span>
+            <span class="accuracy-label">Accuracy</span>
+          </div>
+        `}
+
+        <div class="level-change">
+          <span class="${levelClass}">Next: ${this.nextLevel}-back</span>
+        </div>
+
+        <div class="completion-summary">
+          <span class="completion-count" id="rest-countdown">${this.remaining}</span>
+          <span class="completion-label">Next block in</span>
+        </div>
+
+        <div class="results-actions">
+          <button class="continue-btn" id="next-btn">Start Now</button>
+          <button class="end-btn" id="end-btn">End Session</button>
+        </div>
+      </div>
+    `;
+  }
+
+  init() {
+    document.getElementById('next-btn').addEventListener('click', () => this.next());
+    document.getElementById('end-btn').addEventListener('click', () => {
+      if (this._done) return;
+      this._done = true;
+      this.cleanup();
+      if (this.onEnd) {
+        this.onEnd();
+      }
+    });
+
+    this._keyHandler = (e) => {
+      if (e.code === 'Space') {
+        e.preventDefault();
+        this.next();
+      }
+    };
+    document.addEventListener('keydown', this._keyHandler);
+
+    if (this.remaining <= 0) {
+      setTimeout(() => this.next(), 0);
+      return;
+    }
+
+    const countdown = document.getElementById('rest-countdown');
+    this._interval = setInterval(() => {
+      this.remaining--;
+      if (countdown) countdown.textContent = Math.max(this.remaining, 0);
+      if (this.remaining <= 0) this.next();
+    }, 1000);
+  }
+
+  /**
+   * Start the next block (once)
+   */
+  next() {
+    if (this._done) return;
+    this._done = true;
+    this.cleanup();
+    if (this.onNext) {
+      this.onNext(this.nextLevel);
+    }
+  }
+
+  cleanup() {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+    if (this._keyHandler) {
+      document.removeEventListener('keydown', this._keyHandler);
+      this._keyHandler = null;
+    }
+  }
+}
@@ -1,3 +1,11 @@
+import { LURE_TYPES } from '../../utils/constants.js';
+
+const MODALITY_LABELS = {
+  audio: 'Sound',
+  position: 'Position',
+  location: 'Location'
+};
+
 /**
  * Results screen - shows accuracy, hits, misses, false alarms
  */
@@ -7,12 +15,16 @@ export class ResultsScreen {
    * @param {object} options.results - Results from scorer
    * @param {number} options.currentN - Current N level
    * @param {number} options.nextLevel - Next N level
+   * @param {{ subLevel: number, nextSubLevel: number } | null} options.staircase - Sub-levels under the staircase policy
    * @param {boolean} options.feedbackOff - Hide detailed stats
+   * @param {number} options.seed - Sequence seed of the block, shown so it can be replayed
    * @param {function} options.onContinue - Callback when continue is pressed
    * @param {function} options.onEnd - Callback when end is pressed
    */
-  constructor({ results, currentN, nextLevel, feedbackOff = false, onContinue, onEnd }) {
+  constructor({ results, currentN, nextLevel, staircase = null, feedbackOff = false, seed = null, onContinue, onEnd }) {
     this.results = results;
+    this.staircase = staircase;
+    this.seed = seed;
     this.currentN = currentN;
     this.nextLevel = nextLevel;
     this.feedbackOff = feedbackOff;
@@ -32,6 +44,16 @@ export class ResultsScreen {
       levelMessage = `<span class="level-same">Staying at ${this.nextLevel}-back</span>`;
     }
 
+    if (this.staircase) {
+      const from = (this.currentN + this.staircase.subLevel).toFixed(2);
+      const to = (this.nextLevel + this.staircase.nextSubLevel).toFixed(2);
+      levelMessage += `<span class="sub-level-change">Difficulty ${from} → ${to}</span>`;
+    }
+
+    const seedInfo = this.seed !== null
+      ? `<p class="seed-info">Seed ${this.seed}</p>`
+      : '';
+
     if (this.feedbackOff) {
       const totalTrials = this.results.hits + this.results.misses
         + this.results.falseAlarms + this.results.correctRejections;
@@ -53,6 +75,8 @@ export class ResultsScreen {
             <button class="continue-btn" id="continue-btn">Continue Training</button>
             <button class="end-btn" id="end-btn">End Session</button>
           </div>
+
+          ${seedInfo}
         </div>
       `;
     }
@@ -73,6 +97,12 @@ export class ResultsScreen {
           ${levelMessage}
         </div>
 
+        <p class="sdt-summary">
+          d′ ${this.results.dPrime.toFixed(2)} · c ${this.results.criterion.toFixed(2)} · A′ ${this.results.aPrime.toFixed(2)}
+        </p>
+
+        ${this.renderModalities()}
+
         <div class="stats-grid">
           <div class="stat">
             <span class="stat-value hit">${this.results.hits}</span>
@@ -92,10 +122,101 @@ export class ResultsScreen {
           </div>
         </div>
 
+        ${this.renderLures()}
+
+        ${this.renderReactionTimes()}
+
         <div class="results-actions">
           <button class="continue-btn" id="continue-btn">Continue Training</button>
           <button class="end-btn" id="end-btn">End Session</button>
         </div>
+
+        ${seedInfo}
+      </div>
+    `;
+  }
+
+  /**
+   * Render per-modality breakdown (only when more than one stream was scored)
+   * @returns {string}
+   */
+  renderModalities() {
+    const entries = Object.entries(this.results.modalities || {});
+    if (entries.length < 2) return '';
+
+    const rows = entries.map(([name, r]) => `
+      <div class="modality-row">
+        <span class="modality-name">${MODALITY_LABELS[name] || name}</span>
+        <span class="modality-accuracy">${Math.round(r.accuracy * 100)}%</span>
+        <span class="modality-counts">
+          <span class="hit">${r.hits}</span> /
+          <span class="miss">${r.misses}</span> /
+          <span class="false-alarm">${r.falseAlarms}</span>
+        </span>
+      </div>
+    `).join('');
+
+    return `
+      <div class="modality-breakdown">
+        <div class="modality-row modality-header">
+          <span class="modality-name"></span>
+          <span class="modality-accuracy">Acc</span>
+          <span class="modality-counts">Hit / Miss / FA</span>
+        </div>
+        ${rows}
+      </div>
+    `;
+  }
+
+  /**
+   * Render false alarms on lure trials, per lure type
+   * @returns {string}
+   */
+  renderLures() {
+    const lures = this.results.lures || {};
+    const items = LURE_TYPES
+      .filter(type => lures[type] && lures[type].trials > 0)
+      .map(type => `
+        <span class="lure-item">
+          <span class="lure-type">${type}</span>
+          ${lures[type].falseAlarms}/${lures[type].trials}
+        </span>
+      `);
+    if (items.length === 0) return '';
+
+    return `
+      <div class="lure-summary">
+        <span class="lure-label">Lure false alarms</span>
+        ${items.join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render mean and median reaction time for each outcome with a press
+   * @returns {string}
+   */
+  renderReactionTimes() {
+    const reactionTimes = this.results.reactionTimes || {};
+    const rows = [['hit', 'Hits'], ['false-alarm', 'False Alarms']]
+      .filter(([outcome]) => reactionTimes[outcome])
+      .map(([outcome, label]) => `
+        <div class="rt-row">
+          <span class="rt-label">${label}</span>
+          <span class="rt-value">${Math.round(reactionTimes[outcome].mean)} ms</span>
+          <span class="rt-value">${Math.round(reactionTimes[outcome].median)} ms</span>
+        </div>
+      `);
+    if (rows.length === 0) return '';
+
+    return `
+      <div class="rt-summary">
+        <div class="rt-row rt-header">
+          <span class="rt-label">Reaction time</span>
+          <span class="rt-value">Mean</span>
+          <span class="rt-value">Median</span>
+        </div>
+        ${rows.join('')}
       </div>
     `;
   }
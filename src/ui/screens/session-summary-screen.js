@@ -0,0 +1,90 @@
+/**
+ * Session summary screen - totals across all blocks of a session plan
+ */
+export class SessionSummaryScreen {
+  /**
+   * @param {object} options
+   * @param {object} options.summary - Output of summarizeTrainingSession()
+   * @param {object[]} options.blocks - Block records, oldest first
+   * @param {number} options.plannedBlocks - Blocks in the plan
+   * @param {function} options.onDone - Callback when done is pressed
+   */
+  constructor({ summary, blocks, plannedBlocks, onDone }) {
+    this.summary = summary;
+    this.blocks = blocks;
+    this.plannedBlocks = plannedBlocks;
+    this.onDone = onDone;
+  }
+
+  render() {
+    const { summary } = this;
+    const accuracy = Math.round(summary.avgAccuracy * 100);
+    const accuracyColor = accuracy >= 85 ? 'var(--success)' : accuracy >= 70 ? 'var(--accent)' : 'var(--error)';
+    const minutes = Math.max(1, Math.round(summary.duration / 60000));
+
+    return `
+      <div class="screen results-screen session-summary-screen">
+        <h2>${summary.blocks < this.plannedBlocks ? 'Session Ended' : 'Session Complete'}</h2>
+
+        <div class="accuracy-display">
+          <span class="accuracy-value" style="color: ${accuracyColor}">${accuracy}%</span>
+          <span class="accuracy-label">Average Accuracy</span>
+        </div>
+
+        <div class="level-change">
+          <span class="level-same">${summary.startN}-back → ${summary.endN}-back · avg ${summary.avgN.toFixed(1)}</span>
+        </div>
+
+        <div class="stats-grid">
+          <div class="stat">
+            <span class="stat-value">${summary.blocks}/${this.plannedBlocks}</span>
+            <span class="stat-label">Blocks</span>
+          </div>
+          <div class="stat">
+            <span class="stat-value">${summary.trials}</span>
+            <span class="stat-label">Trials</span>
+          </div>
+          <div class="stat">
+            <span class="stat-value">${summary.maxN}</span>
+            <span class="stat-label">Highest N</span>
+          </div>
+          <div class="stat">
+            <span class="stat-value">~${minutes}m</span>
+            <span class="stat-label">Duration</span>
+          </div>
+        </div>
+
+        ${this.renderBlocks()}
+
+        <div class="results-actions">
+          <button class="continue-btn" id="done-btn">Done</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * One bar per block, height by accuracy, labelled with its N
+   * @returns {string}
+   */
+  renderBlocks() {
+    const bars = this.blocks.map(block => {
+      const accuracy = Math.round(block.accuracy * 100);
+      return `
+        <span class="session-block" title="${block.n}-back · ${accuracy}%">
+          <span class="session-block-bar" style="height: ${Math.max(accuracy, 4)}%"></span>
+          <span class="session-block-n">${block.n}</span>
+        </span>
+      `;
+    }).join('');
+    return `<div class="session-blocks">${bars}</div>`;
+  }
+
+  init() {
+    document.getElementById('done-btn').addEventListener('click', () => {
+      if (this.onDone) {
+        this.onDone();
+      }
+    });
+  }
+}
@@ -1,4 +1,65 @@
-import { ADAPTIVE, TIMING } from '../../utils/constants.js';
+import { ADAPTIVE, AUDIO_BUSES, BLOCK, LETTERS, MODES, SESSION_PLAN, STIMULUS_SETS } from '../../utils/constants.js';
+import { parseSeed } from '../../utils/random.js';
+import { resolveTiming, estimateBlockDuration } from '../../game/timing.js';
+import { resolveMode } from '../../game/modes.js';
+import { resolveLureRates } from '../../game/sequence-generator.js';
+import { resolvePlan } from '../../game/session-plan.js';
+import { resolveTrialCount, clampTrialCount, describeTrialFormula } from '../../game/trial-count.js';
+
+const LEVEL_METRIC_OPTIONS = [
+  { value: 'accuracy', label: 'Accuracy' },
+  { value: 'dPrime', label: 'd′' },
+  { value: 'aPrime', label: 'A′' }
+];
+
+const PLAN_OPTIONS = SESSION_PLAN.BLOCK_OPTIONS.map(blocks => ({
+  value: String(blocks),
+  label: blocks === 0 ? 'Off' : `${blocks} blocks`
+}));
+
+const TRIAL_COUNT_OPTIONS = [
+  { value: 'fixed', label: 'Fixed' },
+  { value: 'scaled', label: 'Base + N' }
+];
+
+const STIMULUS_SET_OPTIONS = Object.entries(STIMULUS_SETS).map(([value, { label, bundled }]) => ({
+  value,
+  label: bundled ? label : `${label} (synthesized)`
+}));
+
+// Settings row per lure type; rates are edited as percentages
+const LURE_SETTINGS = [
+  { type: 'n-1', label: 'N−1 Lures (%)', description: 'Non-matches repeating the letter from one step too recent' },
+  { type: 'n+1', label: 'N+1 Lures (%)', description: 'Non-matches repeating the letter from one step too far back' },
+  { type: '2n', label: '2N Lures (%)', description: 'Non-matches repeating the letter from twice N back' }
+];
+
+const PROGRESSION_OPTIONS = [
+  { value: 'threshold', label: 'Every block' },
+  { value: 'consecutive', label: 'Two in a row' },
+  { value: 'brainWorkshop', label: 'Brain Workshop' },
+  { value: 'staircase', label: 'Fine steps' }
+];
+
+/**
+ * Render <option> elements for a settings select
+ * @param {{ value: string, label: string }[]} options
+ * @param {string} selected - Currently selected value
+ * @returns {string}
+ */
+function renderOptions(options, selected) {
+  return options
+    .map(({ value, label }) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+    .join('');
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
 
 /**
  * Start screen with N-level selector, trial count input, and start button
@@ -7,15 +68,39 @@ export class StartScreen {
   /**
    * @param {object} options
    * @param {number} options.currentN - Current N level
-   * @param {number} options.trialCount - Number of trials (default 20)
-   * @param {function} options.onStart - Callback when start is pressed (n, trialCount)
+   * @param {number} options.trialCount - Number of trials in fixed mode (default 20)
+   * @param {{ trialCountMode: 'fixed' | 'scaled', trialBase: number, trialsPerN: number }} options.trialScaling - How block length follows N
+   * @param {'single' | 'dual'} options.mode - Game mode
+   * @param {{ isi: number, responseWindow: number, isiJitter: number }} options.timing - Session timing in ms
+   * @param {function} options.onStart - Callback when start is pressed (n, trialCount, seed)
+   * @param {function} options.onHistory - Callback when the history button is pressed
+   * @param {{ id: number, name: string }[]} options.profiles - All profiles
+   * @param {number} options.profileId - Active profile ID
+   * @param {function} options.onProfileChange - Callback when another profile is picked (profileId)
+   * @param {function} options.onProfileCreate - Callback when a new profile is named (name)
+   * @param {function} options.onRecordVoice - Callback when the voice recorder is opened
+   * @param {function} options.onVolumeChange - Callback with (bus, volume) while a volume slider moves
    * @param {import('../../storage/storage.js').Storage} options.storage - Storage instance
    */
-  constructor({ currentN, trialCount = 20, onStart, storage }) {
+  constructor({
+    currentN, trialCount = 20, trialScaling = { trialCountMode: 'fixed' }, mode = MODES.SINGLE, timing = resolveTiming(),
+    onStart, onHistory,
+    profiles = [], profileId, onProfileChange, onProfileCreate, onRecordVoice, onVolumeChange, storage
+  }) {
     this.currentN = currentN;
+    this.onHistory = onHistory;
+    this.profiles = profiles;
+    this.profileId = profileId;
+    this.onProfileChange = onProfileChange;
+    this.onProfileCreate = onProfileCreate;
+    this.onRecordVoice = onRecordVoice;
+    this.onVolumeChange = onVolumeChange;
+    this.mode = mode;
+    this.timing = timing;
     this.onStart = onStart;
     this.selectedN = currentN;
     this.selectedTrialCount = trialCount;
+    this.trialScaling = trialScaling;
     this.storage = storage;
     this._settingsOpen = false;
     this._hideTimeout = null;
@@ -25,7 +110,7 @@ export class StartScreen {
    * Calculate duration in seconds
    */
   getDurationText(trialCount) {
-    const totalSeconds = Math.round(trialCount * TIMING.ISI / 1000);
+    const totalSeconds = Math.round(estimateBlockDuration(trialCount, this.timing) / 1000);
     const minutes = Math.floor(totalSeconds / 60);
     const seconds = totalSeconds % 60;
     if (minutes > 0) {
@@ -34,11 +119,68 @@ export class StartScreen {
     return `${seconds}s`;
   }
 
+  /**
+   * Trials in the next block: the typed count, or derived from the selected N in scaled mode
+   * @returns {number}
+   */
+  getTrialCount() {
+    return resolveTrialCount(this.selectedN, { ...this.trialScaling, trialCount: this.selectedTrialCount });
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isTrialCountScaled() {
+    return this.trialScaling.trialCountMode === 'scaled';
+  }
+
+  /**
+   * Refresh the trial input and duration estimate after N or the trial settings change
+   */
+  updateTrialCount() {
+    const trialInput = document.getElementById('trial-count');
+    const trialLabel = document.getElementById('trial-count-label');
+    const durationEstimate = document.getElementById('duration-estimate');
+    const scaled = this.isTrialCountScaled();
+
+    if (trialInput) {
+      trialInput.disabled = scaled;
+      trialInput.value = this.getTrialCount();
+    }
+    if (trialLabel) {
+      trialLabel.textContent = scaled ? `Trials (${describeTrialFormula(this.trialScaling)}):` : 'Trials:';
+    }
+    if (durationEstimate) {
+      durationEstimate.textContent = `Duration: ~${this.getDurationText(this.getTrialCount())}`;
+    }
+  }
+
+  /**
+   * Instruction line for the selected level and mode
+   */
+  getInstructionsText() {
+    if (this.mode === MODES.DUAL) {
+      return `Press A when the square position, L when the letter matches ${this.selectedN} back`;
+    }
+    if (this.mode === MODES.SPATIAL) {
+      return `Press S when the voice's location, L when the letter matches ${this.selectedN} back`;
+    }
+    return `Press when current letter matches ${this.selectedN} back`;
+  }
+
   render() {
-    const duration = this.getDurationText(this.selectedTrialCount);
+    const duration = this.getDurationText(this.getTrialCount());
+    const scaled = this.isTrialCountScaled();
 
     return `
       <div class="screen start-screen">
+        <button class="history-btn" id="history-btn" aria-label="History">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <circle cx="12" cy="12" r="9"/>
+            <path d="M12 7v5l3 2"/>
+          </svg>
+        </button>
+
         <button class="settings-btn" id="settings-btn" aria-label="Settings">
           <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
             <circle cx="12" cy="12" r="3"/>
@@ -46,6 +188,14 @@ export class StartScreen {
           </svg>
         </button>
 
+        <div class="profile-switcher" id="profile-switcher">
+          <select class="profile-select" id="profile-select" aria-label="Profile">
+            ${this.profiles.map(p => `<option value="${p.id}" ${p.id === this.profileId ? 'selected' : ''}>${escapeHtml(p.name)}</option>`).join('')}
+            <option value="new">New profile…</option>
+          </select>
+          <input type="text" class="profile-name-input" id="profile-name-input" placeholder="Name" maxlength="24" autocomplete="off" hidden />
+        </div>
+
         <h1>N-Back</h1>
         <p class="subtitle">Audio Working Memory Training</p>
 
@@ -59,8 +209,13 @@ export class StartScreen {
         </div>
 
         <div class="trial-input-group">
-          <label for="trial-count">Trials:</label>
-          <input type="number" id="trial-count" min="5" max="1000" value="${this.selectedTrialCount}" />
+          <label for="trial-count" id="trial-count-label">${scaled ? `Trials (${describeTrialFormula(this.trialScaling)}):` : 'Trials:'}</label>
+          <input type="number" id="trial-count" min="${BLOCK.MIN_TRIALS}" max="${BLOCK.MAX_TRIALS}" value="${this.getTrialCount()}" ${scaled ? 'disabled' : ''} />
+        </div>
+
+        <div class="trial-input-group seed-input-group">
+          <label for="seed-input">Seed:</label>
+          <input type="text" id="seed-input" placeholder="random" autocomplete="off" spellcheck="false" />
         </div>
 
         <p class="duration-estimate" id="duration-estimate">Duration: ~${duration}</p>
@@ -70,7 +225,7 @@ export class StartScreen {
         </button>
 
         <div class="instructions">
-          <p id="instructions-text">Press when current letter matches ${this.selectedN} back</p>
+          <p id="instructions-text">${this.getInstructionsText()}</p>
           <p class="hint">Tap anywhere or use Space/Enter</p>
         </div>
       </div>
@@ -82,17 +237,22 @@ export class StartScreen {
     const increaseBtn = document.getElementById('increase-n');
     const nValue = document.getElementById('n-value');
     const trialInput = document.getElementById('trial-count');
+    const seedInput = document.getElementById('seed-input');
     const durationEstimate = document.getElementById('duration-estimate');
     const startBtn = document.getElementById('start-btn');
     const instructions = document.getElementById('instructions-text');
     const settingsBtn = document.getElementById('settings-btn');
+    const historyBtn = document.getElementById('history-btn');
+    const profileSelect = document.getElementById('profile-select');
+    const profileNameInput = document.getElementById('profile-name-input');
 
     // N level controls
     decreaseBtn.addEventListener('click', () => {
       if (this.selectedN > ADAPTIVE.MIN_N) {
         this.selectedN--;
         nValue.textContent = this.selectedN;
-        instructions.textContent = `Press when current letter matches ${this.selectedN} back`;
+        instructions.textContent = this.getInstructionsText();
+        if (this.isTrialCountScaled()) this.updateTrialCount();
       }
     });
 
@@ -100,29 +260,34 @@ export class StartScreen {
       if (this.selectedN < ADAPTIVE.MAX_N) {
         this.selectedN++;
         nValue.textContent = this.selectedN;
-        instructions.textContent = `Press when current letter matches ${this.selectedN} back`;
+        instructions.textContent = this.getInstructionsText();
+        if (this.isTrialCountScaled()) this.updateTrialCount();
       }
     });
 
     // Trial count input
     trialInput.addEventListener('input', () => {
-      let value = parseInt(trialInput.value, 10);
+      const value = parseInt(trialInput.value, 10);
       if (!isNaN(value)) {
-        value = Math.max(5, Math.min(1000, value));
-        this.selectedTrialCount = value;
-        durationEstimate.textContent = `Duration: ~${this.getDurationText(value)}`;
+        this.selectedTrialCount = clampTrialCount(value);
+        durationEstimate.textContent = `Duration: ~${this.getDurationText(this.selectedTrialCount)}`;
       }
     });
 
     // Start button
     const doStart = () => {
       // Ensure valid trial count
-      let trialCount = parseInt(trialInput.value, 10);
-      if (isNaN(trialCount) || trialCount < 5) trialCount = 20;
-      trialCount = Math.min(1000, trialCount);
+      let trialCount = this.getTrialCount();
+      if (!this.isTrialCountScaled()) {
+        const typed = parseInt(trialInput.value, 10);
+        trialCount = isNaN(typed) || typed < BLOCK.MIN_TRIALS ? BLOCK.BASE_TRIALS : clampTrialCount(typed);
+      }
+
+      // Empty seed means a fresh random sequence
+      const seed = parseSeed(seedInput.value);
 
       if (this.onStart) {
-        this.onStart(this.selectedN, trialCount);
+        this.onStart(this.selectedN, trialCount, seed);
       }
     };
 
@@ -131,7 +296,7 @@ export class StartScreen {
     // Space/Enter to start (unless typing in an input or settings open)
     this._keyHandler = (e) => {
       if (this._settingsOpen) return;
-      if (e.code === 'Space' && document.activeElement !== trialInput) {
+      if (e.code === 'Space' && ![trialInput, seedInput, profileNameInput].includes(document.activeElement)) {
         e.preventDefault();
         doStart();
       }
@@ -142,6 +307,41 @@ export class StartScreen {
     settingsBtn.addEventListener('click', () => {
       this.showSettings();
     });
+
+    // History button
+    historyBtn.addEventListener('click', () => {
+      if (this.onHistory) {
+        this.onHistory();
+      }
+    });
+
+    // Profile switcher — "New profile…" swaps the select for a name input
+    const showSelect = () => {
+      profileNameInput.hidden = true;
+      profileSelect.hidden = false;
+      profileSelect.value = String(this.profileId);
+    };
+
+    profileSelect.addEventListener('change', () => {
+      if (profileSelect.value === 'new') {
+        profileSelect.hidden = true;
+        profileNameInput.hidden = false;
+        profileNameInput.value = '';
+        profileNameInput.focus();
+      } else if (this.onProfileChange) {
+        this.onProfileChange(Number(profileSelect.value));
+      }
+    });
+
+    profileNameInput.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter' && profileNameInput.value.trim() && this.onProfileCreate) {
+        this.onProfileCreate(profileNameInput.value.trim());
+      } else if (e.key === 'Escape') {
+        showSelect();
+      }
+    });
+    profileNameInput.addEventListener('blur', showSelect);
   }
 
   // ── Settings overlay ──────────────────────────
@@ -151,6 +351,12 @@ export class StartScreen {
     this._settingsOpen = true;
 
     const settings = await this.storage.getSettings();
+    const lureRates = resolveLureRates(settings.lureRates);
+    const voicePacks = await this.storage.getVoicePacks();
+    const voiceOptions = [
+      { value: '', label: 'Bundled' },
+      ...voicePacks.map(pack => ({ value: String(pack.id), label: escapeHtml(pack.name) }))
+    ];
 
     const screen = document.querySelector('.start-screen');
     if (!screen) return;
@@ -180,6 +386,167 @@ export class StartScreen {
             </button>
           </div>
 
+          ${Object.entries(AUDIO_BUSES).map(([bus, { label, description }]) => `
+          <div class="settings-item">
+            <div class="settings-item-info">
+              <span class="settings-item-label">${label}</span>
+              <span class="settings-item-description">${description}</span>
+            </div>
+            <input type="range" class="settings-range" data-bus="${bus}" min="0" max="100" step="5" value="${Math.round(settings[`${bus}Volume`] * 100)}" aria-label="${label}" />
+          </div>
+          `).join('')}
+
+          <div class="settings-item">
+            <div class="settings-item-info">
+              <span class="settings-item-label">Dual N-Back</span>
+              <span class="settings-item-description">Add a visual position stream on a 3x3 grid</span>
+            </div>
+            <button class="toggle-switch ${settings.dualMode ? 'active' : ''}" data-key="dualMode" role="switch" aria-checked="${settings.dualMode}">
+              <span class="toggle-knob"></span>
+            </button>
+          </div>
+
+          <div class="settings-item">
+            <div class="settings-item-info">
+              <span class="settings-item-label">Spatial Audio</span>
+              <span class="settings-item-description">Add a voice location stream across the stereo field, for headphones</span>
+            </div>
+            <button class="toggle-switch ${settings.spatialMode ? 'active' : ''}" data-key="spatialMode" role="switch" aria-checked="${settings.spatialMode}">
+              <span class="toggle-knob"></span>
+            </button>
+          </div>
+
+          <div class="settings-item">
+            <div class="settings-item-info">
+              <span class="settings-item-label">Stimuli</span>
+              <span class="settings-item-description">What the voice says on each trial</span>
+            </div>
+            <select class="settings-select" data-key="stimulusSet">
+              ${renderOptions(STIMULUS_SET_OPTIONS, settings.stimulusSet)}
+            </select>
+          </div>
+
+          <div class="settings-item custom-letters-item" ${settings.stimulusSet === 'custom' ? '' : 'hidden'}>
+            <div class="settings-item-info">
+              <span class="settings-item-label">Custom Letters</span>
+              <span class="settings-item-description">Pick at least ${STIMULUS_SETS.custom.minItems}</span>
+            </div>
+            <div class="letter-chips">
+              ${LETTERS.map(letter => `<button class="letter-chip ${settings.customLetters.includes(letter) ? 'active' : ''}" data-letter="${letter}" aria-pressed="${settings.customLetters.includes(letter)}">${letter}</button>`).join('')}
+            </div>
+          </div>
+
+          <div class="settings-item">
+            <div class="settings-item-info">
+              <span class="settings-item-label">Voice</span>
+              <span class="settings-item-description">Bundled letters or a voice you recorded</span>
+            </div>
+            <div class="settings-controls">
+              <select class="settings-select" data-key="voicePackId">
+                ${renderOptions(voiceOptions, settings.voicePackId ? String(settings.voicePackId) : '')}
+              </select>
+              <button class="data-btn" id="record-voice-btn">Record</button>
+            </div>
+          </div>
+
+          <div class="settings-item">
+            <div class="settings-item-info">
+              <span class="settings-item-label">Level Metric</span>
+              <span class="settings-item-description">Score that decides when the level changes</span>
+            </div>
+            <select class="settings-select" data-key="levelMetric">
+              ${renderOptions(LEVEL_METRIC_OPTIONS, settings.levelMetric)}
+            </select>
+          </div>
+
+          <div class="settings-item">
+            <div class="settings-item-info">
+              <span class="settings-item-label">Level Progression</span>
+              <span class="settings-item-description">How many blocks decide a level change</span>
+            </div>
+            <select class="settings-select" data-key="progressionPolicy">
+              ${renderOptions(PROGRESSION_OPTIONS, settings.progressionPolicy)}
+            </select>
+          </div>
+
+          ${LURE_SETTINGS.map(({ type, label, description }) => `
+          <div class="settings-item">
+            <div class="settings-item-info">
+              <span class="settings-item-label">${label}</span>
+              <span class="settings-item-description">${description}</span>
+            </div>
+            <input type="number" class="settings-number" data-group="lures" data-key="${type}" min="0" max="${BLOCK.MAX_LURE_RATE * 100}" step="5" value="${Math.round(lureRates[type] * 100)}" />
+          </div>
+          `).join('')}
+
+          <div class="settings-item">
+            <div class="settings-item-info">
+              <span class="settings-item-label">Interval (ms)</span>
+              <span class="settings-item-description">Time from one letter to the next</span>
+            </div>
+            <input type="number" class="settings-number" data-group="timing" data-key="isi" step="100" value="${this.timing.isi}" />
+          </div>
+
+          <div class="settings-item">
+            <div class="settings-item-info">
+              <span class="settings-item-label">Response Window (ms)</span>
+              <span class="settings-item-description">How long after each letter a press counts</span>
+            </div>
+            <input type="number" class="settings-number" data-group="timing" data-key="responseWindow" step="100" value="${this.timing.responseWindow}" />
+          </div>
+
+          <div class="settings-item">
+            <div class="settings-item-info">
+              <span class="settings-item-label">Interval Jitter (ms)</span>
+              <span class="settings-item-description">Randomly vary each interval by up to ±this much</span>
+            </div>
+            <input type="number" class="settings-number" data-group="timing" data-key="isiJitter" step="50" value="${this.timing.isiJitter}" />
+          </div>
+
+          <div class="settings-item">
+            <div class="settings-item-info">
+              <span class="settings-item-label">Trial Count</span>
+              <span class="settings-item-description">Fixed, or base plus trials per level of N</span>
+            </div>
+            <select class="settings-select" data-key="trialCountMode">
+              ${renderOptions(TRIAL_COUNT_OPTIONS, settings.trialCountMode)}
+            </select>
+          </div>
+
+          <div class="settings-item">
+            <div class="settings-item-info">
+              <span class="settings-item-label">Base Trials</span>
+              <span class="settings-item-description">Trials at N = 0 when scaling with N</span>
+            </div>
+            <input type="number" class="settings-number" data-group="trials" data-key="trialBase" min="${BLOCK.MIN_TRIALS}" max="100" value="${settings.trialBase}" />
+          </div>
+
+          <div class="settings-item">
+            <div class="settings-item-info">
+              <span class="settings-item-label">Trials per N</span>
+              <span class="settings-item-description">Extra trials for each level of N</span>
+            </div>
+            <input type="number" class="settings-number" data-group="trials" data-key="trialsPerN" min="0" max="100" value="${settings.trialsPerN}" />
+          </div>
+
+          <div class="settings-item">
+            <div class="settings-item-info">
+              <span class="settings-item-label">Session Plan</span>
+              <span class="settings-item-description">Play blocks of base + N trials back to back</span>
+            </div>
+            <select class="settings-select" data-key="planBlocks">
+              ${renderOptions(PLAN_OPTIONS, String(settings.planBlocks))}
+            </select>
+          </div>
+
+          <div class="settings-item">
+            <div class="settings-item-info">
+              <span class="settings-item-label">Rest Between Blocks (s)</span>
+              <span class="settings-item-description">Countdown before the next block starts</span>
+            </div>
+            <input type="number" class="settings-number" data-key="planRest" min="0" max="${SESSION_PLAN.MAX_REST_SECONDS}" step="5" value="${settings.planRest}" />
+          </div>
+
         </div>
 
         <div class="settings-version">v1.0</div>
@@ -206,9 +573,128 @@ export class StartScreen {
 
         const current = await this.storage.getSettings();
         current[key] = isActive;
+
+        // Dual and spatial each add the second stream, so only one can be on
+        const other = { dualMode: 'spatialMode', spatialMode: 'dualMode' }[key];
+        if (other && isActive && current[other]) {
+          current[other] = false;
+          const otherToggle = overlay.querySelector(`.toggle-switch[data-key="${other}"]`);
+          otherToggle.classList.remove('active');
+          otherToggle.setAttribute('aria-checked', false);
+        }
         await this.storage.saveSettings(current);
+
+        if (other) {
+          this.mode = resolveMode(current);
+          const instructions = document.getElementById('instructions-text');
+          if (instructions) instructions.textContent = this.getInstructionsText();
+        }
+      });
+    });
+
+    // Selects — persist immediately
+    overlay.querySelectorAll('.settings-select').forEach(select => {
+      select.addEventListener('change', async () => {
+        const value = select.dataset.key === 'voicePackId'
+          ? (select.value ? Number(select.value) : null)
+          : select.value;
+        await this.storage.saveSettings({ [select.dataset.key]: value });
+
+        if (select.dataset.key === 'stimulusSet') {
+          overlay.querySelector('.custom-letters-item').hidden = select.value !== 'custom';
+        }
+
+        if (select.dataset.key === 'trialCountMode') {
+          this.trialScaling = { ...this.trialScaling, trialCountMode: select.value };
+          this.updateTrialCount();
+        }
+      });
+    });
+
+    // Voice recorder — opened straight from the click so audio can unlock in the gesture
+    overlay.querySelector('#record-voice-btn').addEventListener('click', () => {
+      if (this.onRecordVoice) this.onRecordVoice();
+    });
+
+    // Custom letter subset — refuse to drop below the minimum
+    const letterChips = overlay.querySelectorAll('.letter-chip');
+    letterChips.forEach(chip => {
+      chip.addEventListener('click', async () => {
+        const active = [...letterChips].filter(el => el.classList.contains('active'));
+        const isActive = chip.classList.contains('active');
+        if (isActive && active.length <= STIMULUS_SETS.custom.minItems) return;
+
+        chip.classList.toggle('active', !isActive);
+        chip.setAttribute('aria-pressed', !isActive);
+        const customLetters = [...letterChips]
+          .filter(el => el.classList.contains('active'))
+          .map(el => el.dataset.letter);
+        await this.storage.saveSettings({ customLetters });
       });
     });
+
+    // Volume sliders — apply while dragging, persist on release
+    overlay.querySelectorAll('.settings-range').forEach(slider => {
+      const key = `${slider.dataset.bus}Volume`;
+      slider.addEventListener('input', () => {
+        if (this.onVolumeChange) this.onVolumeChange(slider.dataset.bus, slider.value / 100);
+      });
+      slider.addEventListener('change', async () => {
+        await this.storage.saveSettings({ [key]: slider.value / 100 });
+      });
+    });
+
+    // Scaled trial count formula
+    overlay.querySelectorAll('.settings-number[data-group="trials"]').forEach(input => {
+      input.addEventListener('change', async () => {
+        const key = input.dataset.key;
+        const min = key === 'trialBase' ? BLOCK.MIN_TRIALS : 0;
+        const value = parseInt(input.value, 10);
+        const clamped = isNaN(value) ? BLOCK[key === 'trialBase' ? 'BASE_TRIALS' : 'TRIALS_PER_N'] : Math.min(Math.max(value, min), 100);
+        input.value = clamped;
+        await this.storage.saveSettings({ [key]: clamped });
+
+        this.trialScaling = { ...this.trialScaling, [key]: clamped };
+        this.updateTrialCount();
+      });
+    });
+
+    // Lure rates — shown as percentages, stored as fractions
+    const lureInputs = overlay.querySelectorAll('.settings-number[data-group="lures"]');
+    lureInputs.forEach(input => {
+      input.addEventListener('change', async () => {
+        const values = {};
+        lureInputs.forEach(el => { values[el.dataset.key] = parseFloat(el.value) / 100; });
+        const lureRates = resolveLureRates(values);
+        lureInputs.forEach(el => { el.value = Math.round(lureRates[el.dataset.key] * 100); });
+        await this.storage.saveSettings({ lureRates });
+      });
+    });
+
+    // Timing inputs — normalize together, since each limits the others
+    const timingInputs = overlay.querySelectorAll('.settings-number[data-group="timing"]');
+    timingInputs.forEach(input => {
+      input.addEventListener('change', async () => {
+        const values = {};
+        timingInputs.forEach(el => { values[el.dataset.key] = el.value; });
+        this.timing = resolveTiming(values);
+        timingInputs.forEach(el => { el.value = this.timing[el.dataset.key]; });
+        await this.storage.saveSettings(this.timing);
+
+        const durationEstimate = document.getElementById('duration-estimate');
+        if (durationEstimate) {
+          durationEstimate.textContent = `Duration: ~${this.getDurationText(this.getTrialCount())}`;
+        }
+      });
+    });
+
+    // Rest between plan blocks
+    const restInput = overlay.querySelector('.settings-number[data-key="planRest"]');
+    restInput.addEventListener('change', async () => {
+      const { rest } = resolvePlan({ rest: restInput.value });
+      restInput.value = rest;
+      await this.storage.saveSettings({ planRest: rest });
+    });
   }
 
   hideSettings(callback) {
@@ -0,0 +1,240 @@
+import { LETTERS, VOICE_PACK } from '../../utils/constants.js';
+import { processRecording } from '../../audio/voice-processing.js';
+
+/**
+ * Voice recorder screen - records each letter with the microphone and saves
+ * the trimmed, normalized clips as a voice pack
+ */
+export class VoiceRecorderScreen {
+  /**
+   * @param {object} options
+   * @param {import('../../storage/storage.js').Storage} options.storage - Storage instance
+   * @param {import('../../audio/audio-manager.js').AudioManager} options.audioManager - Unlocked AudioManager, used to decode and preview clips
+   * @param {function} options.onSaved - Callback with the new voice pack ID
+   * @param {function} options.onBack - Callback when back is pressed
+   */
+  constructor({ storage, audioManager, onSaved, onBack }) {
+    this.storage = storage;
+    this.audioManager = audioManager;
+    this.onSaved = onSaved;
+    this.onBack = onBack;
+    this.index = 0;
+    this.clips = {};
+    this.sampleRate = null;
+    this.stream = null;
+    this.recorder = null;
+    this._stopTimeout = null;
+    this.saving = false;
+  }
+
+  render() {
+    return `
+      <div class="screen history-screen voice-recorder-screen">
+        <div class="history-header">
+          <button class="back-btn" id="back-btn" aria-label="Back">
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+              <path d="M10 3L5 8L10 13" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+            </svg>
+          </button>
+          <h2>Record Voice</h2>
+        </div>
+
+        <div class="recorder-body">
+          <span class="recorder-progress" id="recorder-progress"></span>
+          <span class="recorder-letter" id="recorder-letter"></span>
+          <p class="recorder-status" id="recorder-status">Say the letter after pressing Record</p>
+
+          <div class="recorder-actions">
+            <button class="data-btn" id="prev-btn">Back</button>
+            <button class="continue-btn" id="record-btn">Record</button>
+            <button class="data-btn" id="play-btn">Play</button>
+            <button class="data-btn" id="next-btn">Next</button>
+          </div>
+
+          <div class="recorder-save" id="recorder-save" hidden>
+            <input type="text" class="profile-name-input" id="pack-name" maxlength="40" placeholder="Voice name" />
+            <button class="continue-btn" id="save-btn">Save Voice</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  init() {
+    document.getElementById('back-btn').addEventListener('click', () => this.back());
+    document.getElementById('record-btn').addEventListener('click', () => {
+      if (this.recorder && this.recorder.state === 'recording') {
+        this.stopRecording();
+      } else {
+        this.startRecording();
+      }
+    });
+    document.getElementById('play-btn').addEventListener('click', () => this.playCurrent());
+    document.getElementById('prev-btn').addEventListener('click', () => this.showLetter(this.index - 1));
+    document.getElementById('next-btn').addEventListener('click', () => this.showLetter(this.index + 1));
+    document.getElementById('save-btn').addEventListener('click', () => this.save());
+
+    this._keyHandler = (e) => {
+      if (e.key === 'Escape') this.back();
+    };
+    document.addEventListener('keydown', this._keyHandler);
+
+    this.showLetter(0);
+  }
+
+  /**
+   * Show one letter and which controls apply to it
+   * @param {number} index - Index into LETTERS
+   */
+  showLetter(index) {
+    this.index = Math.max(0, Math.min(index, LETTERS.length - 1));
+    const letter = LETTERS[this.index];
+    const recorded = Boolean(this.clips[letter]);
+
+    document.getElementById('recorder-letter').textContent = letter;
+    document.getElementById('recorder-progress').textContent = `${this.index + 1} of ${LETTERS.length}`;
+    document.getElementById('prev-btn').disabled = this.index === 0;
+    document.getElementById('play-btn').disabled = !recorded;
+    document.getElementById('next-btn').disabled = !recorded || this.index === LETTERS.length - 1;
+    document.getElementById('recorder-save').hidden = !LETTERS.every(l => this.clips[l]);
+    this.setStatus(recorded ? 'Recorded — play it back or record again' : 'Say the letter after pressing Record');
+  }
+
+  /**
+   * Record the current letter, stopping on its own after VOICE_PACK.MAX_RECORD_MS
+   */
+  async startRecording() {
+    try {
+      if (!this.stream) {
+        this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      }
+    } catch (error) {
+      console.warn('Microphone unavailable:', error);
+      this.setStatus('Microphone access was denied', true);
+      return;
+    }
+
+    const chunks = [];
+    this.recorder = new MediaRecorder(this.stream);
+    this.recorder.addEventListener('dataavailable', (e) => chunks.push(e.data));
+    this.recorder.addEventListener('stop', () => this.processClip(new Blob(chunks, { type: this.recorder.mimeType })));
+    this.recorder.start();
+
+    document.getElementById('record-btn').textContent = 'Stop';
+    this.setStatus('Recording…');
+    this._stopTimeout = setTimeout(() => this.stopRecording(), VOICE_PACK.MAX_RECORD_MS);
+  }
+
+  stopRecording() {
+    clearTimeout(this._stopTimeout);
+    this._stopTimeout = null;
+    if (this.recorder && this.recorder.state === 'recording') {
+      this.recorder.stop();
+    }
+    const recordBtn = document.getElementById('record-btn');
+    if (recordBtn) recordBtn.textContent = 'Record';
+  }
+
+  /**
+   * Decode a recording, trim and normalize it, and keep it for the current letter
+   * @param {Blob} blob
+   */
+  async processClip(blob) {
+    const letter = LETTERS[this.index];
+    try {
+      const decoded = await this.audioManager.audioContext.decodeAudioData(await blob.arrayBuffer());
+      const channels = Array.from({ length: decoded.numberOfChannels }, (_, i) => decoded.getChannelData(i));
+      const clip = processRecording(channels, decoded.sampleRate);
+      if (clip.length === 0) {
+        this.setStatus('Nothing was heard — try again', true);
+        return;
+      }
+      this.clips[letter] = clip;
+      this.sampleRate = decoded.sampleRate;
+    } catch (error) {
+      console.warn('Could not process recording:', error);
+      this.setStatus('Could not process the recording — try again', true);
+      return;
+    }
+
+    if (!document.getElementById('recorder-letter')) return; // Screen was left
+    this.showLetter(this.index);
+    this.playCurrent();
+  }
+
+  playCurrent() {
+    const clip = this.clips[LETTERS[this.index]];
+    if (clip) this.audioManager.playClip(clip, this.sampleRate);
+  }
+
+  async save() {
+    const name = document.getElementById('pack-name').value;
+    this.setSaving(true);
+    let id;
+    try {
+      id = await this.storage.saveVoicePack({ name, sampleRate: this.sampleRate, clips: this.clips });
+      await this.storage.saveSettings({ voicePackId: id });
+    } catch (error) {
+      console.warn('Could not save voice pack:', error);
+      this.setSaving(false);
+      this.setStatus(error?.name === 'QuotaExceededError'
+        ? 'Not enough storage to save this voice'
+        : 'Could not save the voice — try again', true);
+      return;
+    }
+    this.cleanup();
+    if (this.onSaved) {
+      this.onSaved(id);
+    }
+  }
+
+  back() {
+    if (this.saving) return;
+    this.cleanup();
+    if (this.onBack) {
+      this.onBack();
+    }
+  }
+
+  /**
+   * Lock the controls while the pack is written
+   * @param {boolean} saving
+   */
+  setSaving(saving) {
+    this.saving = saving;
+    const saveBtn = document.getElementById('save-btn');
+    if (!saveBtn) return;
+    saveBtn.textContent = saving ? 'Saving…' : 'Save Voice';
+    for (const id of ['save-btn', 'pack-name', 'record-btn', 'back-btn', 'prev-btn', 'play-btn', 'next-btn']) {
+      document.getElementById(id).disabled = saving;
+    }
+    if (saving) {
+      this.setStatus('Saving…');
+    } else {
+      this.showLetter(this.index); // Restores the per-letter controls
+    }
+  }
+
+  /**
+   * @param {string} message
+   * @param {boolean} [isError=false]
+   */
+  setStatus(message, isError = false) {
+    const status = document.getElementById('recorder-status');
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
+  cleanup() {
+    this.stopRecording();
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+    if (this._keyHandler) {
+      document.removeEventListener('keydown', this._keyHandler);
+      this._keyHandler = null;
+    }
+  }
+}
@@ -1,13 +1,75 @@
 export const LETTERS = ['C', 'H', 'K', 'L', 'Q', 'R', 'S', 'T'];
 
+// Selectable alphabets for the audio stream. Each item is voiced by
+// public/audio/<folder>/<item>.mp3 and loaded as '<prefix>-<item>'.
+// Sets whose recordings aren't bundled yet (bundled: false) are voiced by
+// speech synthesis instead, without fetching their folder.
+export const STIMULUS_SETS = {
+  letters: { label: 'Letters', prefix: 'letter', folder: 'letters', items: LETTERS, bundled: true },
+  digits: { label: 'Digits 1–9', prefix: 'digit', folder: 'digits', items: ['1', '2', '3', '4', '5', '6', '7', '8', '9'], bundled: false },
+  words: { label: 'Words', prefix: 'word', folder: 'words', items: ['BALL', 'DOOR', 'FISH', 'LAMP', 'MOON', 'RING', 'SHOE', 'TREE'], bundled: false },
+  syllables: { label: 'Syllables', prefix: 'syllable', folder: 'syllables', items: ['BA', 'DU', 'FI', 'KO', 'LE', 'MU', 'NI', 'PO'], bundled: false },
+  custom: { label: 'Custom letters', prefix: 'letter', folder: 'letters', items: LETTERS, minItems: 3, bundled: true }
+};
+
+// Cells of the 3x3 grid used by the visual position stream (row-major)
+export const POSITIONS = [0, 1, 2, 3, 4, 5, 6, 7, 8];
+
+// Stereo pan (-1 left … 1 right) of each location in the spatial audio stream
+export const LOCATIONS = [0, 1, 2, 3, 4];
+export const LOCATION_PANS = [-1, -0.5, 0, 0.5, 1];
+
+export const MODES = {
+  SINGLE: 'single',  // Audio letters only
+  DUAL: 'dual',      // Audio letters + visual grid positions
+  SPATIAL: 'spatial' // Audio letters + the stereo location they are played at
+};
+
 export const TIMING = {
-  ISI: 3000,           // Inter-stimulus interval in ms
-  RESPONSE_WINDOW: 2500 // Time allowed for response in ms
+  ISI: 3000,           // Default inter-stimulus interval in ms
+  RESPONSE_WINDOW: 2500, // Default time allowed for response in ms
+  ISI_JITTER: 0,       // Default random +/- variation of the ISI in ms
+  MIN_ISI: 1000,
+  MAX_ISI: 10000,
+  MIN_RESPONSE_WINDOW: 200,
+  POSITION_DISPLAY: 500, // How long the grid square stays lit in ms
+  START_DELAY: 250,     // Lead time before the first onset of a block in ms
+  SCHEDULE_AHEAD: 5000  // How far ahead letter onsets are queued on the audio clock in ms
 };
 
+// Lures are non-matches that repeat the stimulus from a nearby-but-wrong
+// distance back (n-1, n+1 or 2n), the main source of interference
+export const LURE_TYPES = ['n-1', 'n+1', '2n'];
+
 export const BLOCK = {
   BASE_TRIALS: 20,     // Base number of trials per block
-  MATCH_RATE: 0.2      // Target ~20% of eligible positions are matches
+  TRIALS_PER_N: 1,     // Extra trials per level when the trial count scales with N
+  MIN_TRIALS: 5,
+  MAX_TRIALS: 1000,
+  MATCH_RATE: 0.2,     // Target ~20% of eligible positions are matches
+  LURE_RATES: {        // Fraction of non-match positions deliberately made lures
+    'n-1': 0.1,
+    'n+1': 0.1,
+    '2n': 0
+  },
+  MAX_LURE_RATE: 0.5,  // Highest lure rate per type offered in settings
+  MAX_RUN: 2           // Most consecutive identical stimuli (a 1-back match is itself a run of 2)
+};
+
+// Playback buses, each with its own volume setting (`${bus}Volume`)
+export const AUDIO_BUSES = {
+  stimulus: { label: 'Letter Volume', description: 'The voice reading the stimuli', defaultVolume: 1 },
+  feedback: { label: 'Feedback Volume', description: 'Miss and false alarm sounds', defaultVolume: 0.8 },
+  ui: { label: 'Cue Volume', description: 'Block complete and level up sounds', defaultVolume: 0.8 }
+};
+
+export const VOICE_PACK = {
+  MAX_RECORD_MS: 2000,   // Recording stops on its own after this long
+  SILENCE_RATIO: 0.1,    // Windows quieter than this fraction of the loudest window count as silence
+  WINDOW_MS: 10,         // Window length for the silence detector
+  PADDING_MS: 30,        // Kept before and after the detected speech
+  TARGET_RMS: 0.1,       // Loudness every clip (and every bundled stimulus file) is normalized to
+  MAX_PEAK: 0.9          // Normalization never pushes a peak above this
 };
 
 export const ADAPTIVE = {
@@ -16,3 +78,48 @@ export const ADAPTIVE = {
   MIN_N: 1,
   MAX_N: 9
 };
+
+// Thresholds per metric that can drive the adaptive level
+export const LEVEL_METRICS = {
+  accuracy: {
+    INCREASE_THRESHOLD: ADAPTIVE.INCREASE_THRESHOLD,
+    DECREASE_THRESHOLD: ADAPTIVE.DECREASE_THRESHOLD
+  },
+  dPrime: {
+    INCREASE_THRESHOLD: 2.5, // d' above this -> increase N
+    DECREASE_THRESHOLD: 1.5  // d' below this -> decrease N
+  },
+  aPrime: {
+    INCREASE_THRESHOLD: 0.9,
+    DECREASE_THRESHOLD: 0.8
+  }
+};
+
+// Level progression policies that decide the next level from one or more blocks
+export const PROGRESSION_POLICIES = {
+  threshold: {}, // Single block against the level metric thresholds
+  brainWorkshop: {
+    ADVANCE_THRESHOLD: 0.8,  // Accuracy at or above this -> increase N
+    FALLBACK_THRESHOLD: 0.5, // Accuracy below this counts as a strike
+    FALLBACK_BLOCKS: 3       // Consecutive strikes at one level -> decrease N
+  },
+  consecutive: {
+    PASSING_BLOCKS: 2 // Blocks in a row above the increase threshold -> increase N
+  },
+  staircase: {
+    STEP: 0.25,           // Sub-level change per block; N changes when it passes 0 or 1
+    MIN_ISI_SCALE: 0.75,  // ISI multiplier at the hardest sub-level
+    MAX_LURE_SCALE: 2,    // Lure rate multiplier at the hardest sub-level
+    MIN_MATCH_RATE: 0.15  // Match rate at the hardest sub-level (BLOCK.MATCH_RATE at the easiest)
+  }
+};
+
+// Recent blocks read from storage when a policy needs history
+export const PROGRESSION_HISTORY = 10;
+
+// Training session plans: a fixed number of blocks with rests in between
+export const SESSION_PLAN = {
+  BLOCK_OPTIONS: [0, 5, 10, 20], // Blocks per session (0 = single blocks, no plan)
+  REST_SECONDS: 10,              // Default countdown between blocks
+  MAX_REST_SECONDS: 120
+};
@@ -0,0 +1,61 @@
+/**
+ * Seedable pseudo-random number generation so blocks can be replayed
+ */
+
+/**
+ * Create a seeded PRNG (mulberry32)
+ * @param {number} seed - 32-bit unsigned integer seed
+ * @returns {() => number} - Function returning floats in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh random seed
+ * @returns {number} - 32-bit unsigned integer
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Derive the seed of another random stream from a block's seed, so each
+ * stream (sequence, onsets, later plan blocks) is reproducible on its own
+ * @param {number} seed - 32-bit unsigned integer seed
+ * @param {number} stream - Stream number, 1 and up
+ * @returns {number} - 32-bit unsigned integer
+ */
+export function deriveSeed(seed, stream) {
+  return Math.floor(createRandom((seed ^ Math.imul(stream, 0x9E3779B9)) >>> 0)() * 4294967296);
+}
+
+/**
+ * Parse a user-entered seed. Numeric strings are used directly,
+ * anything else is hashed (FNV-1a) so words work as seeds too.
+ * @param {string | number | null | undefined} value
+ * @returns {number | null} - 32-bit unsigned integer, or null if empty
+ */
+export function parseSeed(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (text === '') return null;
+
+  if (/^\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}